@@ -0,0 +1,176 @@
+'use strict';
+
+// Arrow keys and the direction each moves the keyboard pointer in.
+export const ARROW_KEYS = {
+  ArrowLeft: [-1, 0],
+  ArrowRight: [1, 0],
+  ArrowUp: [0, -1],
+  ArrowDown: [0, 1]
+};
+
+// Unit direction of the arrow keys held down; [0, 0] when they cancel out.
+export function keyboardDirection(keys) {
+  let x = 0;
+  let y = 0;
+  for (const key of keys) {
+    x += ARROW_KEYS[key][0];
+    y += ARROW_KEYS[key][1];
+  }
+  const length = Math.hypot(x, y);
+  return length > 0 ? [x / length, y / length] : [0, 0];
+}
+
+const visuallyHidden = 'position: absolute; width: 1px; height: 1px; margin: -1px; padding: 0; ' +
+  'overflow: hidden; clip: rect(0 0 0 0); white-space: nowrap; border: 0;';
+
+const keyName = key => key === ' ' ? 'Space' : key;
+
+const defaultDescription = { label: 'Image reveal', topAlt: '', bottomAlt: '' };
+
+// The DOM side of keyboard and screen reader support, shared by every kind of
+// effect. The canvas becomes a focusable image labelled with the alt text of
+// both layers. Arrow keys and REVEAL_KEY go to the effect's pressKey() and
+// releaseKey(), and setFocus() tells it when to draw the focus indicator.
+// With `announce`, a polite live region next to the canvas reports when the
+// top layer starts to show and when it is revealed. That listens to
+// 'progress' while the canvas has focus, so the effect only measures its
+// progress while someone is using it from the keyboard.
+export class RevealAccessibility {
+  constructor(reveal, canvas, { label, topAlt, bottomAlt, announce = true } = {}) {
+    this.reveal = reveal;
+    this.canvas = canvas;
+    this.description = {
+      label: label || defaultDescription.label,
+      topAlt: topAlt || defaultDescription.topAlt,
+      bottomAlt: bottomAlt || defaultDescription.bottomAlt
+    };
+    this.state = 'covered';
+    this.focusVisible = false;
+    this.listeners = [];
+    this.previousAttributes = {};
+    for (const name of ['tabindex', 'role', 'aria-label'])
+      this.previousAttributes[name] = canvas.getAttribute(name);
+    canvas.setAttribute('role', 'img');
+
+    this.region = null;
+    this.unsubscribe = null;
+    if (announce) {
+      this.region = document.createElement('span');
+      this.region.setAttribute('aria-live', 'polite');
+      this.region.style.cssText = visuallyHidden;
+    }
+    this.setupEventListeners();
+    this.update();
+  }
+
+  setupEventListeners() {
+    const canvas = this.canvas;
+    const reveal = this.reveal;
+    const listen = (type, handler) => {
+      canvas.addEventListener(type, handler);
+      this.listeners.push([type, handler]);
+    };
+
+    listen('keydown', e => {
+      const config = reveal.config;
+      if (!config.KEYBOARD || e.altKey || e.ctrlKey || e.metaKey) return;
+      if (!ARROW_KEYS[e.key] && e.key !== config.REVEAL_KEY) return;
+      // Arrow keys would scroll the page, and a focus that came from a click
+      // still needs showing once the keyboard is in use
+      e.preventDefault();
+      if (!this.focusVisible) this.setFocus(true);
+      if (!e.repeat) reveal.pressKey(e.key);
+    });
+    listen('keyup', e => reveal.releaseKey(e.key));
+    listen('focus', () => {
+      let visible = true;
+      try {
+        visible = canvas.matches(':focus-visible');
+      } catch (error) {
+        // Browsers without :focus-visible show it for any focus
+      }
+      this.setFocus(visible);
+      if (this.region && !this.unsubscribe)
+        this.unsubscribe = reveal.on('progress', progress => this.updateState(progress));
+    });
+    listen('blur', () => {
+      this.setFocus(false);
+      this.stopAnnouncing();
+    });
+  }
+
+  setFocus(visible) {
+    this.focusVisible = visible;
+    this.reveal.setFocus(visible);
+  }
+
+  // Takes any of `label`, `topAlt` and `bottomAlt`; null restores the default.
+  describe(description) {
+    for (const key in defaultDescription) {
+      const value = description[key];
+      if (value !== undefined) this.description[key] = value === null ? defaultDescription[key] : value;
+    }
+    this.update();
+  }
+
+  // Applies the description and KEYBOARD to the canvas' attributes.
+  update() {
+    const canvas = this.canvas;
+    const config = this.reveal.config;
+    const { label, topAlt, bottomAlt } = this.description;
+    const top = topAlt || 'the top image';
+    const bottom = bottomAlt || 'the bottom image';
+
+    if (config.KEYBOARD) canvas.setAttribute('tabindex', this.previousAttributes.tabindex || '0');
+    else this.restoreAttribute('tabindex');
+
+    const text = {
+      covered: `Showing ${bottom}.`,
+      partial: `Partly revealing ${top} over ${bottom}.`,
+      revealed: `Showing ${top}.`
+    }[this.state];
+    const hint = config.KEYBOARD && this.state !== 'revealed'
+      ? ` Use the arrow keys to uncover ${top}, or ${keyName(config.REVEAL_KEY)} to reveal all of it.`
+      : '';
+    canvas.setAttribute('aria-label', `${label}. ${text}${hint}`);
+  }
+
+  // Covered, partly or fully revealed, judged by the progress measurement.
+  updateState(progress) {
+    const threshold = this.reveal.config.COMPLETE_THRESHOLD;
+    const state = progress >= threshold ? 'revealed' : progress > 0.02 ? 'partial' : 'covered';
+    if (state === this.state) return;
+    this.state = state;
+    this.update();
+
+    const { topAlt, bottomAlt } = this.description;
+    const region = this.region;
+    if (!region.isConnected && this.canvas.parentNode) this.canvas.after(region);
+    region.textContent = {
+      covered: `Showing ${bottomAlt || 'the bottom image'}`,
+      partial: `Revealing ${topAlt || 'the top image'}`,
+      revealed: `Revealed ${topAlt || 'the top image'}`
+    }[state];
+  }
+
+  stopAnnouncing() {
+    if (this.unsubscribe) this.unsubscribe();
+    this.unsubscribe = null;
+  }
+
+  restoreAttribute(name) {
+    const value = this.previousAttributes[name];
+    if (value === null) this.canvas.removeAttribute(name);
+    else this.canvas.setAttribute(name, value);
+  }
+
+  destroy() {
+    for (const [type, handler] of this.listeners)
+      this.canvas.removeEventListener(type, handler);
+    this.listeners = [];
+    this.stopAnnouncing();
+    if (this.region) this.region.remove();
+    for (const name in this.previousAttributes)
+      this.restoreAttribute(name);
+  }
+}
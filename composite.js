@@ -0,0 +1,93 @@
+'use strict';
+
+// Compositing stages for the display pass. Each defines
+// `vec4 composite (vec2 uv)`, called per pixel with the canvas UV
+// (bottom-left origin), and can use:
+//
+//   revealMask(uv)   0..1, how far the top image is revealed
+//   topColor(uv)     top layer, already fitted and cross-faded, with any
+//                    depth layers dug through to
+//   bottomColor(uv)  bottom layer, same
+//   densityAt(uv)    density, velocityAt(uv): velocity (texels per second).
+//                    Use these rather than sampling uTexture and uVelocity,
+//                    which hold packed bytes on the 'rgba8' tier
+//   uTopTexture, uBottomTexture  the raw layer textures
+//   uTime            seconds since start, texelSize: one simulation texel
+//   vL, vR, vT, vB   UVs of the neighbouring simulation texels
+//   uStrength, uTint COMPOSITE_STRENGTH and COMPOSITE_TINT from the config
+//
+// Colors are premultiplied by alpha, which is below 1 where a layer is empty
+// on a TRANSPARENT canvas; keep rgb scaled by the alpha returned.
+export const compositeModes = {
+  mix: `
+    vec4 composite (vec2 uv) {
+        return mix(bottomColor(uv), topColor(uv), revealMask(uv));
+    }
+  `,
+
+  // Top image refracted by the velocity field, like looking through moving water
+  refraction: `
+    vec4 composite (vec2 uv) {
+        vec2 offset = velocityAt(uv) * texelSize * 0.01 * uStrength;
+        return mix(bottomColor(uv), topColor(uv - offset), revealMask(uv));
+    }
+  `,
+
+  // RGB split across the mask edge
+  chromatic: `
+    vec4 composite (vec2 uv) {
+        float mask = revealMask(uv);
+        vec2 gradient = vec2(revealMask(vR) - revealMask(vL), revealMask(vT) - revealMask(vB));
+        vec2 shift = gradient * 0.02 * uStrength;
+        vec4 top = vec4(topColor(uv + shift).r, topColor(uv).g, topColor(uv - shift).b, topColor(uv).a);
+        vec4 bottom = vec4(bottomColor(uv + shift).r, bottomColor(uv).g, bottomColor(uv - shift).b, bottomColor(uv).a);
+        return mix(bottom, top, mask);
+    }
+  `,
+
+  // Specular rim lit from the top left, with normals from the density gradient
+  gloss: `
+    vec4 composite (vec2 uv) {
+        float L = densityAt(vL).r;
+        float R = densityAt(vR).r;
+        float T = densityAt(vT).r;
+        float B = densityAt(vB).r;
+        vec3 normal = normalize(vec3(L - R, B - T, 0.05));
+        vec3 light = normalize(vec3(-0.5, 0.5, 1.0));
+        float specular = pow(max(dot(reflect(-light, normal), vec3(0.0, 0.0, 1.0)), 0.0), 24.0);
+        vec4 color = mix(bottomColor(uv), topColor(uv), revealMask(uv));
+        return vec4(color.rgb + specular * 0.6 * uStrength * color.a, color.a);
+    }
+  `,
+
+  // Mask edge tinted with COMPOSITE_TINT, like ink bleeding into paper
+  ink: `
+    vec4 composite (vec2 uv) {
+        float mask = revealMask(uv);
+        float edge = clamp(4.0 * mask * (1.0 - mask) * uStrength, 0.0, 1.0);
+        vec4 color = mix(bottomColor(uv), topColor(uv), mask);
+        return vec4(mix(color.rgb, uTint * color.a, edge), color.a);
+    }
+  `,
+
+  // Debug view: density as color, velocity magnitude per axis added on top
+  fluid: `
+    vec4 composite (vec2 uv) {
+        vec3 density = densityAt(uv).rgb;
+        vec2 velocity = velocityAt(uv);
+        vec3 color = min(density + vec3(abs(velocity) * 0.002, 0.0), 1.0);
+        // Opaque wherever there is fluid, so a transparent canvas shows the page elsewhere
+        return vec4(color, max(max(color.r, color.g), color.b));
+    }
+  `
+};
+
+// COMPOSITE is either the name of a built-in mode or custom GLSL defining
+// `composite`.
+export function resolveComposite(value) {
+  if (value in compositeModes)
+    return compositeModes[value];
+  if (typeof value === 'string' && /\bcomposite\s*\(/.test(value))
+    return value;
+  throw new Error(`Unknown composite mode '${value}'`);
+}
@@ -0,0 +1,81 @@
+'use strict';
+
+export const defaultConfig = {
+  TEXTURE_DOWNSAMPLE: 1,
+  DENSITY_DISSIPATION: 0.98,
+  VELOCITY_DISSIPATION: 0.99,
+  PRESSURE_DISSIPATION: 0.8,
+  PRESSURE_ITERATIONS: 25,
+  CURL: 28,
+  SPLAT_RADIUS: 0.004,
+  MAX_PIXEL_RATIO: 2,
+  RESIZE_DEBOUNCE: 150,
+  INITIAL_SPLATS: true,
+  PERSISTENT: false,
+  PROGRESS_INTERVAL: 250,
+  COMPLETE_THRESHOLD: 0.7,
+  AUTO_REVEAL: false,
+  AUTO_REVEAL_DURATION: 1200,
+  BRUSH: 'gaussian',
+  BRUSH_STRETCH: 0.005,
+  BRUSH_SPACING: 0.5,
+  COMPOSITE: 'mix',
+  COMPOSITE_STRENGTH: 1,
+  COMPOSITE_TINT: [0.05, 0.05, 0.12],
+  IDLE_THRESHOLD: 0.001,
+  REDUCED_MOTION: 'auto',
+  ADAPTIVE_QUALITY: false,
+  QUALITY_MIN: 0,
+  QUALITY_MAX: 5,
+  FRAME_BUDGET: 1000 / 60,
+  TIMESTEP: 1 / 60,
+  MAX_SUBSTEPS: 4,
+  SEED: null,
+  LOCKSTEP: false,
+  WIND: [0, 0],
+  TURBULENCE: 0,
+  TURBULENCE_SCALE: 3,
+  TURBULENCE_SPEED: 0.5,
+  SCROLL_FORCE: 0,
+  ORIENTATION_FORCE: 0,
+  TRANSPARENT: false,
+  KEYBOARD: true,
+  KEYBOARD_SPEED: 0.4,
+  REVEAL_KEY: 'Enter',
+  FOCUS_COLOR: [1, 1, 1] };
+
+// Named starting points for the tuning panel, or for setConfig(). Keys left
+// out keep their current values.
+export const presets = {
+  default: {
+    DENSITY_DISSIPATION: defaultConfig.DENSITY_DISSIPATION,
+    VELOCITY_DISSIPATION: defaultConfig.VELOCITY_DISSIPATION,
+    PRESSURE_DISSIPATION: defaultConfig.PRESSURE_DISSIPATION,
+    CURL: defaultConfig.CURL,
+    SPLAT_RADIUS: defaultConfig.SPLAT_RADIUS
+  },
+  // Thin, long-lived strokes that barely swirl
+  ink: {
+    DENSITY_DISSIPATION: 0.995,
+    VELOCITY_DISSIPATION: 0.98,
+    PRESSURE_DISSIPATION: 0.8,
+    CURL: 8,
+    SPLAT_RADIUS: 0.002
+  },
+  // Wide puffs that curl a lot and fade quickly
+  smoke: {
+    DENSITY_DISSIPATION: 0.97,
+    VELOCITY_DISSIPATION: 0.995,
+    PRESSURE_DISSIPATION: 0.8,
+    CURL: 45,
+    SPLAT_RADIUS: 0.008
+  },
+  // Slow and viscous: motion dies quickly, the reveal stays
+  honey: {
+    DENSITY_DISSIPATION: 0.999,
+    VELOCITY_DISSIPATION: 0.92,
+    PRESSURE_DISSIPATION: 0.95,
+    CURL: 2,
+    SPLAT_RADIUS: 0.006
+  }
+};
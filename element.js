@@ -0,0 +1,164 @@
+'use strict';
+
+import { LiquidReveal } from './main.js';
+import { OffscreenReveal } from './offscreen.js';
+import { defaultConfig } from './config.js';
+
+// Every config key is also an attribute: SPLAT_RADIUS becomes splat-radius.
+const configKeys = {};
+for (const key in defaultConfig)
+  configKeys[key.toLowerCase().replace(/_/g, '-')] = key;
+
+const imageAttributes = ['top', 'bottom'];
+const fitAttributes = ['fit', 'object-position', 'top-fit', 'bottom-fit', 'top-object-position', 'bottom-object-position'];
+const descriptionAttributes = ['label', 'top-alt', 'bottom-alt'];
+
+const camelCase = name => name.replace(/-(\w)/g, (match, letter) => letter.toUpperCase());
+
+// Attribute strings take the type of the key's default: numbers, booleans
+// ("false" or absent is off, anything else on), and lists of numbers
+// separated by commas or spaces. Missing or unparsable values fall back to
+// the default.
+function parseConfigValue(key, value) {
+  const fallback = defaultConfig[key];
+  if (value === null) return fallback;
+  if (typeof fallback === 'boolean') return value !== 'false';
+  if (typeof fallback === 'number') {
+    const number = parseFloat(value);
+    return Number.isNaN(number) ? fallback : number;
+  }
+  if (Array.isArray(fallback)) {
+    const list = value.split(/[\s,]+/).filter(Boolean).map(Number);
+    return list.length === fallback.length && list.every(Number.isFinite) ? list : fallback;
+  }
+  // SEED takes a number or any other string
+  if (fallback === null) {
+    if (value === '') return null;
+    const number = Number(value);
+    return Number.isNaN(number) ? value : number;
+  }
+  if (key === 'REDUCED_MOTION' && (value === 'true' || value === 'false')) return value === 'true';
+  return value;
+}
+
+// <liquid-reveal top="a.jpg" bottom="b.jpg" curl="20" fit="contain">
+//
+// Mounts an effect in its own shadow root and fills the element, which
+// should get a size from CSS. Attributes can change at any time; `fade`
+// sets the cross-fade in ms used when `top` or `bottom` changes. With
+// `worker` present when the element connects, the effect renders in a worker
+// (offscreen.js). The instance is available as `element.reveal` while
+// connected.
+export class LiquidRevealElement extends HTMLElement {
+  static get observedAttributes() {
+    return [...imageAttributes, 'brush-image', 'fade', ...fitAttributes, ...descriptionAttributes, ...Object.keys(configKeys)];
+  }
+
+  constructor() {
+    super();
+    this.reveal = null;
+    this.resizeObserver = null;
+    const style = document.createElement('style');
+    style.textContent = `
+      :host { display: block; position: relative; min-height: 150px; }
+      canvas { display: block; position: absolute; inset: 0; width: 100%; height: 100%; }
+    `;
+    this.attachShadow({ mode: 'open' }).appendChild(style);
+  }
+
+  connectedCallback() {
+    if (this.reveal) return;
+    // A destroyed instance has released its context for good, so each
+    // connection starts on a fresh canvas
+    const canvas = document.createElement('canvas');
+    this.shadowRoot.appendChild(canvas);
+
+    const options = {
+      topImage: this.getAttribute('top') || undefined,
+      bottomImage: this.getAttribute('bottom') || undefined,
+      brushImage: this.getAttribute('brush-image') || undefined
+    };
+    for (const name of [...fitAttributes, ...descriptionAttributes]) {
+      const value = this.getAttribute(name);
+      if (value !== null) options[camelCase(name)] = value;
+    }
+    for (const name in configKeys) {
+      if (this.hasAttribute(name))
+        options[configKeys[name]] = parseConfigValue(configKeys[name], this.getAttribute(name));
+    }
+
+    try {
+      const Reveal = this.hasAttribute('worker') ? OffscreenReveal : LiquidReveal;
+      this.reveal = Reveal.create(canvas, options);
+    } catch (error) {
+      console.error('<liquid-reveal> failed to start:', error);
+      canvas.remove();
+      return;
+    }
+    // Worker-backed instances return promises, which may still be pending
+    // when the element is disconnected again
+    Promise.resolve(this.reveal.start()).catch(error => console.warn(`<liquid-reveal> ${error.message}`));
+
+    // The canvas follows the element through CSS; make sure the loop notices
+    // even while it is idle
+    if (typeof ResizeObserver !== 'undefined') {
+      this.resizeObserver = new ResizeObserver(() => this.reveal.wake());
+      this.resizeObserver.observe(this);
+    }
+  }
+
+  disconnectedCallback() {
+    if (!this.reveal) return;
+    if (this.resizeObserver) this.resizeObserver.disconnect();
+    this.resizeObserver = null;
+    this.reveal.destroy();
+    this.reveal.canvas.remove();
+    this.reveal = null;
+  }
+
+  attributeChangedCallback(name, oldValue, value) {
+    const reveal = this.reveal;
+    if (!reveal || oldValue === value) return;
+
+    if (imageAttributes.includes(name)) {
+      if (!value) return;
+      const fade = parseFloat(this.getAttribute('fade')) || 0;
+      reveal.setLayerImage(name, value, { fade })
+        .catch(error => console.warn(`<liquid-reveal> ${error.message}`));
+    } else if (name === 'brush-image') {
+      if (value && reveal.setBrushImage)
+        reveal.setBrushImage(value).catch(error => console.warn(`<liquid-reveal> ${error.message}`));
+    } else if (fitAttributes.includes(name)) {
+      this.updateFit();
+    } else if (descriptionAttributes.includes(name)) {
+      reveal.setDescription({ [camelCase(name)]: value });
+    } else if (name in configKeys) {
+      const key = configKeys[name];
+      const warn = error => console.warn(`<liquid-reveal> ${name}: ${error.message}`);
+      try {
+        // A worker reports rejected changes asynchronously
+        Promise.resolve(reveal.setConfig({ [key]: parseConfigValue(key, value) })).catch(warn);
+      } catch (error) {
+        warn(error);
+      }
+    }
+  }
+
+  // Layer-specific attributes win over the shared fit and object-position.
+  updateFit() {
+    for (const layer of ['top', 'bottom']) {
+      const warn = error => console.warn(`<liquid-reveal> ${error.message}`);
+      try {
+        Promise.resolve(this.reveal.setLayerFit(layer, {
+          fit: this.getAttribute(`${layer}-fit`) || this.getAttribute('fit') || 'cover',
+          objectPosition: this.getAttribute(`${layer}-object-position`) || this.getAttribute('object-position') || '50% 50%'
+        })).catch(warn);
+      } catch (error) {
+        warn(error);
+      }
+    }
+  }
+}
+
+if (typeof customElements !== 'undefined' && !customElements.get('liquid-reveal'))
+  customElements.define('liquid-reveal', LiquidRevealElement);
@@ -0,0 +1,409 @@
+'use strict';
+
+import { loadImageSource, getSourceSize, closeImageSource, isVideo, createPlaceholderImage } from './sources.js';
+import { parseObjectPosition, computeFitTransform } from './fit.js';
+import { defaultConfig } from './config.js';
+import { RevealAccessibility, ARROW_KEYS, keyboardDirection } from './accessibility.js';
+
+// Last resort where WebGL cannot run the fluid at all. The pointer paints soft
+// strokes into a mask that fades like the density would, and the top image is
+// drawn through it. Offers the part of the LiquidReveal API that makes sense
+// without a simulation; see LiquidReveal.create().
+export class CanvasReveal {
+  constructor(canvas, options = {}) {
+    // A canvas that already handed out a WebGL context has no 2D one left
+    let ctx = canvas.getContext('2d');
+    if (!ctx) {
+      const replacement = canvas.cloneNode(false);
+      canvas.replaceWith(replacement);
+      canvas = replacement;
+      ctx = canvas.getContext('2d');
+    }
+    if (!ctx)
+      throw new Error('Neither WebGL nor Canvas2D is available');
+
+    const {
+      topImage, bottomImage, brushImage, depthLayers, onFallback,
+      fit, objectPosition, topFit, bottomFit, topObjectPosition, bottomObjectPosition,
+      label, topAlt, bottomAlt, announce,
+      ...config
+    } = options;
+    this.tier = 'canvas2d';
+    this.canvas = canvas;
+    this.ctx = ctx;
+    this.config = Object.assign({}, defaultConfig, config);
+    this.layers = {
+      top: { image: null, fit: 'cover', objectPosition: [0.5, 0.5], requestId: 0 },
+      bottom: { image: null, fit: 'cover', objectPosition: [0.5, 0.5], requestId: 0 }
+    };
+    this.pointers = new Map();
+    this.splatStack = [];
+    this.handlers = new Map();
+    this.listeners = [];
+    this.running = false;
+    this.destroyed = false;
+    this.frameId = null;
+    this.quietFrames = 0;
+    this.keys = new Set();
+    this.keyboard = { x: 0.5, y: 0.5, time: 0 };
+    this.focusVisible = false;
+    this.update = this.update.bind(this);
+
+    // Revealed areas, kept at a quarter of the resolution since they are
+    // blurry anyway
+    this.mask = null;
+    this.maskCtx = null;
+    this.resizeCanvas();
+
+    this.setLayerFit('top', { fit: topFit || fit, objectPosition: topObjectPosition || objectPosition });
+    this.setLayerFit('bottom', { fit: bottomFit || fit, objectPosition: bottomObjectPosition || objectPosition });
+    this.setupEventListeners();
+    // Nothing is measured, so there are no announcements to make
+    this.accessibility = new RevealAccessibility(this, canvas, { label, topAlt, bottomAlt, announce: false });
+    this.ready = this.loadImages(topImage, bottomImage);
+  }
+
+  // Same as LiquidReveal.loadImages(): placeholders for missing images, except
+  // on a transparent canvas.
+  loadImages(topSrc, bottomSrc) {
+    const load = (name, src) => {
+      if (!src && this.config.TRANSPARENT) return null;
+      const placeholder = () => createPlaceholderImage(name === 'top');
+      return this.setLayerImage(name, src || placeholder()).catch(() => {
+        console.warn(`Failed to load ${src}, using placeholder`);
+        return this.setLayerImage(name, placeholder());
+      });
+    };
+    return Promise.all([load('top', topSrc), load('bottom', bottomSrc)]);
+  }
+
+  start() {
+    if (this.running || this.destroyed) return;
+    this.running = true;
+    this.wake();
+  }
+
+  stop() {
+    this.running = false;
+    if (this.frameId !== null) {
+      cancelAnimationFrame(this.frameId);
+      this.frameId = null;
+    }
+  }
+
+  wake() {
+    if (this.frameId !== null || !this.running || this.destroyed) return;
+    this.frameId = requestAnimationFrame(this.update);
+  }
+
+  destroy() {
+    if (this.destroyed) return;
+    this.stop();
+    this.destroyed = true;
+    for (const [target, type, handler] of this.listeners)
+      target.removeEventListener(type, handler);
+    this.listeners = [];
+    this.pointers.clear();
+    this.canvas.style.touchAction = this.previousTouchAction;
+    this.accessibility.destroy();
+  }
+
+  setConfig(config) {
+    Object.assign(this.config, config);
+    if (!this.config.KEYBOARD) this.keys.clear();
+    this.accessibility.update();
+    this.wake();
+  }
+
+  setTopImage(source, options) {
+    return this.setLayerImage('top', source, options);
+  }
+
+  setBottomImage(source, options) {
+    return this.setLayerImage('bottom', source, options);
+  }
+
+  setImages({ top, bottom }, options) {
+    const pending = [];
+    if (top) pending.push(this.setTopImage(top, options));
+    if (bottom) pending.push(this.setBottomImage(bottom, options));
+    return Promise.all(pending);
+  }
+
+  // Same as LiquidReveal.setLayerImage(), except that `fade` is ignored.
+  setLayerImage(name, source, { fit, objectPosition, live = false, alt } = {}) {
+    const layer = this.layers[name];
+    this.setLayerFit(name, { fit, objectPosition });
+    if (alt !== undefined) this.setDescription({ [`${name}Alt`]: alt });
+    const requestId = ++layer.requestId;
+    const loaded = source === null ? Promise.resolve({ image: null, owned: false }) : loadImageSource(source);
+    return loaded.then(({ image, owned }) => {
+      if (requestId !== layer.requestId || this.destroyed) {
+        if (owned) closeImageSource(image);
+        return;
+      }
+      if (layer.owned) closeImageSource(layer.image);
+      layer.image = image;
+      layer.owned = owned;
+      layer.live = live || isVideo(image);
+      this.wake();
+    });
+  }
+
+  setLayerFit(name, { fit, objectPosition } = {}) {
+    const layer = this.layers[name];
+    const position = objectPosition !== undefined ? parseObjectPosition(objectPosition) : layer.objectPosition;
+    if (fit) layer.fit = fit;
+    layer.objectPosition = position;
+    this.wake();
+  }
+
+  // No progress is measured here, so handlers are kept but never called.
+  on(type, handler) {
+    if (!this.handlers.has(type)) this.handlers.set(type, new Set());
+    this.handlers.get(type).add(handler);
+    return () => this.off(type, handler);
+  }
+
+  off(type, handler) {
+    const handlers = this.handlers.get(type);
+    if (handlers) handlers.delete(handler);
+  }
+
+  revealAll() {
+    this.revealed = true;
+    this.wake();
+  }
+
+  reset() {
+    this.revealed = false;
+    this.splatStack = [];
+    this.maskCtx.clearRect(0, 0, this.mask.width, this.mask.height);
+    this.wake();
+  }
+
+  splat({ x, y, radius = this.config.SPLAT_RADIUS, strength = 1 }) {
+    this.splatStack.push({ x, y, radius, strength });
+    this.wake();
+  }
+
+  // Keyboard pointer and focus indicator as in LiquidReveal.
+  pressKey(key) {
+    if (!this.config.KEYBOARD) return;
+    if (key === this.config.REVEAL_KEY) {
+      this.revealAll();
+      return;
+    }
+    if (!ARROW_KEYS[key]) return;
+    if (this.keys.size === 0) this.keyboard.time = performance.now();
+    this.keys.add(key);
+    this.wake();
+  }
+
+  releaseKey(key) {
+    this.keys.delete(key);
+  }
+
+  setFocus(visible) {
+    this.focusVisible = visible;
+    if (!visible) this.keys.clear();
+    this.wake();
+  }
+
+  setDescription(description) {
+    this.accessibility.describe(description);
+  }
+
+  update() {
+    this.frameId = null;
+    const { top, bottom } = this.layers;
+    const config = this.config;
+    // A transparent canvas shows the page where a layer has no image
+    if (!this.running || (!config.TRANSPARENT && (!top.image || !bottom.image))) return;
+    this.resizeCanvas();
+    const mask = this.mask;
+    const maskCtx = this.maskCtx;
+
+    if (!config.PERSISTENT) {
+      maskCtx.globalCompositeOperation = 'destination-out';
+      maskCtx.fillStyle = `rgba(0, 0, 0, ${1 - config.DENSITY_DISSIPATION})`;
+      maskCtx.fillRect(0, 0, mask.width, mask.height);
+      maskCtx.globalCompositeOperation = 'source-over';
+    }
+    while (this.splatStack.length > 0) {
+      const queued = this.splatStack.shift();
+      this.drawStroke(queued.x * mask.width, queued.y * mask.height, queued.x * mask.width, queued.y * mask.height, queued.radius, queued.strength);
+    }
+    for (const pointer of this.pointers.values()) {
+      if (!pointer.moved) continue;
+      this.drawStroke(pointer.lastX, pointer.lastY, pointer.x, pointer.y, config.SPLAT_RADIUS, 1);
+      pointer.lastX = pointer.x;
+      pointer.lastY = pointer.y;
+      pointer.moved = false;
+    }
+    if (this.keys.size > 0) this.moveKeyboardPointer();
+    if (this.revealed) {
+      maskCtx.fillStyle = 'white';
+      maskCtx.fillRect(0, 0, mask.width, mask.height);
+    }
+
+    // Cut the mask out of the bottom image and slide the top one in behind.
+    // Black shows in the letterbox area of a 'contain' fit, unless the
+    // canvas is transparent.
+    const ctx = this.ctx;
+    const canvas = this.canvas;
+    ctx.fillStyle = 'black';
+    if (config.TRANSPARENT) ctx.clearRect(0, 0, canvas.width, canvas.height);
+    else ctx.fillRect(0, 0, canvas.width, canvas.height);
+    this.drawLayer(bottom);
+    ctx.save();
+    ctx.globalCompositeOperation = 'destination-out';
+    ctx.drawImage(mask, 0, 0, canvas.width, canvas.height);
+    ctx.globalCompositeOperation = 'destination-over';
+    this.drawLayer(top);
+    if (!config.TRANSPARENT) ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.restore();
+    if (this.focusVisible) this.drawFocus();
+
+    // Strokes fade like the fluid's density; stop once they have gone
+    this.quietFrames++;
+    const remaining = config.PERSISTENT || this.revealed ? 0 : Math.pow(config.DENSITY_DISSIPATION, this.quietFrames);
+    if (remaining >= config.IDLE_THRESHOLD) {
+      this.wake();
+    } else if (!config.PERSISTENT && !this.revealed) {
+      maskCtx.clearRect(0, 0, mask.width, mask.height);
+    }
+    // Videos and live canvases are drawn as they play, and the keyboard
+    // pointer moves while a key is held
+    if (top.live || bottom.live || this.keys.size > 0) this.wake();
+  }
+
+  moveKeyboardPointer() {
+    const keyboard = this.keyboard;
+    const mask = this.mask;
+    const now = performance.now();
+    const [dx, dy] = keyboardDirection(this.keys);
+    const distance = this.config.KEYBOARD_SPEED * (now - keyboard.time) / 1000;
+    const fromX = keyboard.x;
+    const fromY = keyboard.y;
+    keyboard.time = now;
+    keyboard.x = Math.min(Math.max(fromX + dx * distance * mask.height / mask.width, 0), 1);
+    keyboard.y = Math.min(Math.max(fromY + dy * distance, 0), 1);
+    this.drawStroke(fromX * mask.width, fromY * mask.height, keyboard.x * mask.width, keyboard.y * mask.height, this.config.SPLAT_RADIUS, 1);
+  }
+
+  // The outline and pointer ring of LiquidReveal's focus indicator.
+  drawFocus() {
+    const ctx = this.ctx;
+    const canvas = this.canvas;
+    const width = 2 * canvas.width / (canvas.clientWidth || canvas.width);
+    const [r, g, b] = this.config.FOCUS_COLOR.map(c => Math.round(c * 255));
+    const x = this.keyboard.x * canvas.width;
+    const y = this.keyboard.y * canvas.height;
+    ctx.save();
+    for (const [style, lineWidth] of [['rgba(0, 0, 0, 0.6)', 4 * width], [`rgb(${r}, ${g}, ${b})`, 2 * width]]) {
+      ctx.strokeStyle = style;
+      ctx.lineWidth = lineWidth;
+      ctx.strokeRect(0, 0, canvas.width, canvas.height);
+      ctx.beginPath();
+      ctx.arc(x, y, 5 * width, 0, 2 * Math.PI);
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+
+  // A soft round brush, stamped along the segment so fast strokes stay
+  // continuous. `radius` is in SPLAT_RADIUS units, like the fluid's splats.
+  drawStroke(fromX, fromY, toX, toY, radius, strength) {
+    const maskCtx = this.maskCtx;
+    const size = 2 * Math.sqrt(radius) * this.mask.height;
+    const count = Math.max(Math.ceil(Math.hypot(toX - fromX, toY - fromY) / (size * 0.5)), 1);
+    for (let i = 1; i <= count; i++) {
+      const x = fromX + (toX - fromX) * i / count;
+      const y = fromY + (toY - fromY) * i / count;
+      const gradient = maskCtx.createRadialGradient(x, y, 0, x, y, size);
+      gradient.addColorStop(0, `rgba(255, 255, 255, ${Math.min(strength, 1)})`);
+      gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
+      maskCtx.fillStyle = gradient;
+      maskCtx.fillRect(x - size, y - size, size * 2, size * 2);
+    }
+    this.quietFrames = 0;
+  }
+
+  drawLayer(layer) {
+    if (!layer.image) return;
+    const canvas = this.canvas;
+    const [width, height] = getSourceSize(layer.image);
+    // The fit transform maps canvas UVs into the image; invert it to place
+    // the image on the canvas
+    const [sx, sy, ox, oy] = computeFitTransform(layer.fit, layer.objectPosition, width, height, canvas.width, canvas.height);
+    const drawWidth = canvas.width / sx;
+    const drawHeight = canvas.height / sy;
+    this.ctx.drawImage(layer.image, -ox * drawWidth, -oy * drawHeight, drawWidth, drawHeight);
+  }
+
+  // Mouse strokes on hover, touch and pen while in contact, as in LiquidReveal.
+  setupEventListeners() {
+    const canvas = this.canvas;
+    this.previousTouchAction = canvas.style.touchAction;
+    canvas.style.touchAction = 'none';
+
+    const toMask = e => [
+      e.offsetX * this.mask.width / (canvas.clientWidth || 1),
+      e.offsetY * this.mask.height / (canvas.clientHeight || 1)
+    ];
+    const listen = (type, handler) => {
+      canvas.addEventListener(type, handler);
+      this.listeners.push([canvas, type, handler]);
+    };
+    const addPointer = e => {
+      const [x, y] = toMask(e);
+      const pointer = { x, y, lastX: x, lastY: y, moved: false };
+      this.pointers.set(e.pointerId, pointer);
+      return pointer;
+    };
+
+    listen('pointerdown', e => {
+      if (e.pointerType === 'mouse') return;
+      addPointer(e);
+      canvas.setPointerCapture(e.pointerId);
+    });
+    listen('pointermove', e => {
+      const pointer = this.pointers.get(e.pointerId);
+      if (!pointer) {
+        if (e.pointerType === 'mouse') addPointer(e);
+        return;
+      }
+      [pointer.x, pointer.y] = toMask(e);
+      pointer.moved = true;
+      this.wake();
+    });
+    const removePointer = e => this.pointers.delete(e.pointerId);
+    listen('pointerup', e => {
+      if (e.pointerType !== 'mouse') removePointer(e);
+    });
+    listen('pointercancel', removePointer);
+    listen('pointerleave', e => {
+      if (e.pointerType === 'mouse') removePointer(e);
+    });
+  }
+
+  resizeCanvas() {
+    const canvas = this.canvas;
+    const pixelRatio = Math.min(window.devicePixelRatio || 1, this.config.MAX_PIXEL_RATIO);
+    const width = Math.round((canvas.clientWidth || window.innerWidth) * pixelRatio);
+    const height = Math.round((canvas.clientHeight || window.innerHeight) * pixelRatio);
+    if (this.mask && width === canvas.width && height === canvas.height) return;
+    canvas.width = width;
+    canvas.height = height;
+    // Resizing clears the mask, so carry the strokes over
+    const previous = this.mask;
+    const mask = document.createElement('canvas');
+    mask.width = Math.max(width >> 2, 1);
+    mask.height = Math.max(height >> 2, 1);
+    const maskCtx = mask.getContext('2d');
+    if (previous) maskCtx.drawImage(previous, 0, 0, mask.width, mask.height);
+    this.mask = mask;
+    this.maskCtx = maskCtx;
+  }
+}
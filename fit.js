@@ -0,0 +1,58 @@
+'use strict';
+
+const POSITION_KEYWORDS = { left: 0, top: 0, center: 0.5, right: 1, bottom: 1 };
+
+// Parses a CSS `object-position`-like value into [x, y] fractions where 0 is
+// the left/top edge. Accepts keywords ('left top', 'center'), percentages
+// ('30% 70%') or an [x, y] pair of fractions. Lengths such as '10px' throw,
+// since they would need the image and canvas size.
+export function parseObjectPosition(position) {
+  if (Array.isArray(position))
+    return [Number(position[0]), Number(position[1])];
+  if (typeof position !== 'string')
+    return [0.5, 0.5];
+
+  const parts = position.trim().toLowerCase().split(/\s+/);
+  let x = 0.5;
+  let y = 0.5;
+  // Keywords may come in either order ('top left'), so place them by axis.
+  if (parts.length === 2 && (parts[0] === 'top' || parts[0] === 'bottom' || parts[1] === 'left' || parts[1] === 'right'))
+    parts.reverse();
+  if (parts.length === 1) {
+    if (parts[0] === 'top' || parts[0] === 'bottom') y = POSITION_KEYWORDS[parts[0]];
+    else x = parsePositionComponent(parts[0], x);
+  } else {
+    x = parsePositionComponent(parts[0], x);
+    y = parsePositionComponent(parts[1], y);
+  }
+  return [x, y];
+}
+
+// Throws unless `fit` is one the display pass knows.
+export function checkFit(fit) {
+  if (fit !== 'cover' && fit !== 'contain' && fit !== 'fill')
+    throw new Error(`Unknown fit '${fit}', expected 'cover', 'contain' or 'fill'`);
+}
+
+function parsePositionComponent(value, fallback) {
+  if (value in POSITION_KEYWORDS) return POSITION_KEYWORDS[value];
+  const number = parseFloat(value);
+  if (isNaN(number)) return fallback;
+  if (value.endsWith('%')) return number / 100;
+  if (number === 0) return 0;
+  throw new Error(`Unsupported object position '${value}', expected a keyword or a percentage`);
+}
+
+// UV scale and offset ([sx, sy, ox, oy]) that map the canvas onto an image the
+// way CSS `object-fit` would. Coordinates use a top-left origin; results
+// outside 0..1 fall outside the image (letterboxing for 'contain').
+export function computeFitTransform(fit, position, imageWidth, imageHeight, width, height) {
+  if (fit === 'fill' || !imageWidth || !imageHeight || !width || !height)
+    return [1, 1, 0, 0];
+  const scale = fit === 'contain'
+    ? Math.min(width / imageWidth, height / imageHeight)
+    : Math.max(width / imageWidth, height / imageHeight);
+  const sx = width / (imageWidth * scale);
+  const sy = height / (imageHeight * scale);
+  return [sx, sy, (1 - sx) * position[0], (1 - sy) * position[1]];
+}
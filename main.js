@@ -1,28 +1,55 @@
 'use strict';
 
-let canvas, gl, ext;
-let config = {
-  TEXTURE_DOWNSAMPLE: 1,
-  DENSITY_DISSIPATION: 0.98,
-  VELOCITY_DISSIPATION: 0.99,
-  PRESSURE_DISSIPATION: 0.8,
-  PRESSURE_ITERATIONS: 25,
-  CURL: 28,
-  SPLAT_RADIUS: 0.004 };
-
-let pointers = [];
-let splatStack = [];
-let topImage = null;
-let bottomImage = null;
-let programs = {};
-let textureWidth, textureHeight, density, velocity, divergence, curl, pressure;
-let initialized = false;
-let lastTime = Date.now();
-let blit = null;
-
-// Define GLProgram class first (before any usage)
+import { loadImageSource, getSourceSize, closeImageSource, isVideo, createPlaceholderImage } from './sources.js';
+import { parseObjectPosition, computeFitTransform, checkFit } from './fit.js';
+import { PathPlayer, easings } from './path.js';
+import { resolveComposite } from './composite.js';
+import { CanvasReveal } from './fallback.js';
+import { defaultConfig } from './config.js';
+import { createRandom } from './random.js';
+import { Recorder, Replay, parseRecording } from './recording.js';
+import { QualityController, qualityLevels, createGpuTimer, DEFAULT_QUALITY_LEVEL } from './quality.js';
+import { RevealAccessibility, ARROW_KEYS, keyboardDirection } from './accessibility.js';
+
+const BRUSH_TYPES = { gaussian: 0, ellipse: 1, texture: 2 };
+
+// Upper bounds on how far the elliptical brush stretches and on how many
+// splats one fast pointer move is interpolated into per frame.
+const MAX_BRUSH_STRETCH = 6;
+const MAX_INTERPOLATED_SPLATS = 32;
+
+// Attractor slots in the forces pass (see addAttractor).
+const MAX_ATTRACTORS = 8;
+
+// Side of the square target the density mask is reduced into before it is
+// read back for progress measurement.
+const PROGRESS_SIZE = 32;
+
+// Line width of the keyboard focus indicator in CSS pixels; its dark halo
+// adds as much again.
+const FOCUS_WIDTH = 2;
+
+// Units 0-7 belong to the simulation framebuffers (see initFramebuffers), so
+// image layers are bound from here up. The display pass rebinds them every
+// frame, which lets one-off passes (resampling, brushes) borrow them too.
+const LAYER_TEXTURE_UNIT = 8;
+
+// Depth layers (see setDepthLayers) follow the four units of the top and
+// bottom layers, as far as the GPU has units.
+const DEPTH_TEXTURE_UNIT = LAYER_TEXTURE_UNIT + 4;
+const MAX_DEPTH_LAYERS = 4;
+
+// Marks errors meaning this browser or GPU cannot run the effect, as opposed
+// to bad arguments. LiquidReveal.create() only falls back on these.
+function unsupported(error) {
+  const wrapped = error instanceof Error ? error : new Error(error);
+  wrapped.unsupported = true;
+  return wrapped;
+}
+
 class GLProgram {
-  constructor(vertexShader, fragmentShader) {
+  constructor(gl, vertexShader, fragmentShader) {
+    this.gl = gl;
     this.uniforms = {};
     this.program = gl.createProgram();
     gl.attachShader(this.program, vertexShader);
@@ -37,12 +64,11 @@ class GLProgram {
     }
   }
   bind() {
-    gl.useProgram(this.program);
+    this.gl.useProgram(this.program);
   }
 }
 
-// Helper functions (defined before init)
-function compileShader(type, source) {
+function compileShader(gl, type, source) {
   const shader = gl.createShader(type);
   gl.shaderSource(shader, source);
   gl.compileShader(shader);
@@ -51,331 +77,303 @@ function compileShader(type, source) {
   return shader;
 }
 
+// Largest magnitude each field can hold on the 'rgba8' tier. Divergence and
+// curl share the pressure range.
+const FIELD_RANGES = { velocity: 4096, density: 16, pressure: 4096 };
+
+// Prepended to every fragment shader. Simulation fields are read and written
+// through readField/writeField: plain texture access with half-float targets,
+// and on the 'rgba8' tier two signed 16-bit channels packed into the four
+// bytes of each texel, scaled to +-range. Only x and y survive the packing.
+function fieldPrelude(encoded) {
+  return `
+    precision highp float;
+    precision mediump sampler2D;
+    ${encoded ? '#define ENCODED_FIELDS' : ''}
+    #define VELOCITY_RANGE ${FIELD_RANGES.velocity.toFixed(1)}
+    #define DENSITY_RANGE ${FIELD_RANGES.density.toFixed(1)}
+    #define PRESSURE_RANGE ${FIELD_RANGES.pressure.toFixed(1)}
+
+    #ifdef ENCODED_FIELDS
+    // 32767 is zero, so a cleared target (see ENCODED_ZERO) holds no fluid
+    vec2 encodeChannel (float value, float range) {
+        float n = floor(clamp(value / range * 0.5 + 0.5, 0.0, 1.0) * 65534.0 + 0.5);
+        float high = floor(n / 256.0);
+        return vec2(high, n - high * 256.0) / 255.0;
+    }
+
+    float decodeChannel (vec2 bytes, float range) {
+        float n = dot(floor(bytes * 255.0 + 0.5), vec2(256.0, 1.0));
+        return (n / 65534.0 * 2.0 - 1.0) * range;
+    }
+
+    vec4 readField (sampler2D field, vec2 uv, float range) {
+        vec4 texel = texture2D(field, uv);
+        return vec4(decodeChannel(texel.rg, range), decodeChannel(texel.ba, range), 0.0, 1.0);
+    }
+
+    vec4 writeField (vec4 value, float range) {
+        return vec4(encodeChannel(value.x, range), encodeChannel(value.y, range));
+    }
+    #else
+    vec4 readField (sampler2D field, vec2 uv, float range) {
+        return texture2D(field, uv);
+    }
+
+    vec4 writeField (vec4 value, float range) {
+        return value;
+    }
+    #endif
+  `;
+}
+
+// Clear color of packed targets: both channels at 32767, i.e. zero.
+const ENCODED_ZERO = [127 / 255, 1, 127 / 255, 1];
+
+// Solid cells of the obstacle mask (see setObstacles), rendered at simulation
+// resolution so passes sample it with their own UVs.
+const obstacleSource = `
+    uniform sampler2D uObstacles;
+    bool solid (vec2 uv) {
+        return texture2D(uObstacles, uv).r > 0.5;
+    }
+`;
+
+// Weights that turn a mask texel into the value compared against one half.
+const OBSTACLE_CHANNELS = { alpha: [0, 0, 0, 1], luminance: [0.2126, 0.7152, 0.0722, 0] };
+
 function pointerPrototype() {
   this.id = -1;
+  this.type = 'mouse';
   this.x = 0;
   this.y = 0;
+  // Where the last splat landed; fast moves are interpolated from here
+  this.lastX = 0;
+  this.lastY = 0;
   this.dx = 0;
   this.dy = 0;
   this.down = false;
   this.moved = false;
-  this.color = [30, 0, 300];
+  // Set by createPointer() from the instance's random source
+  this.color = [1, 1, 1];
+  // Pen pressure scales splat radius and strength; 1 for mouse and touch
+  this.radius = 1;
+  this.strength = 1;
 }
 
-pointers.push(new pointerPrototype());
-
-// Initialize when DOM is ready
-if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', init);
-} else {
-  init();
-}
-
-function init() {
-  canvas = document.getElementById('fluid-canvas');
-  if (!canvas) {
-    console.error('Canvas element not found!');
-    return;
-  }
-  
-  canvas.width = canvas.clientWidth || window.innerWidth;
-  canvas.height = canvas.clientHeight || window.innerHeight;
-
-  try {
-    const context = getWebGLContext(canvas);
-    gl = context.gl;
-    ext = context.ext;
-    
-    if (!gl) {
-      console.error('WebGL not supported!');
-      return;
-    }
-    
-    // Initialize WebGL resources
-    initWebGLResources();
-    
-    // Setup event listeners
-    setupEventListeners();
-    
-    // Load images
-    loadImages();
-    
-    // Start update loop
-    update();
-  } catch (error) {
-    console.error('Failed to initialize WebGL:', error);
+// Display pass around a compositing stage from composite.js, which documents
+// what the stage can use, with uniforms for `depthCount` depth layers.
+function displayShaderSource(composite, depthCount) {
+  let depthUniforms = '';
+  let depthLayers = '';
+  for (let i = 0; i < depthCount; i++) {
+    depthUniforms += `
+    uniform sampler2D uDepthTexture${i};
+    uniform vec4 uDepthTransform${i};
+    uniform float uDepthThreshold${i};`;
+    depthLayers += `
+        color = mix(color, sampleLayer(uDepthTexture${i}, uDepthTransform${i}, uv),
+            smoothstep(uDepthThreshold${i} - 0.1, uDepthThreshold${i}, density));`;
   }
-}
-
-function initWebGLResources() {
-  // Compile shaders
-  const baseVertexShader = compileShader(gl.VERTEX_SHADER, `
+  return `
     precision highp float;
     precision mediump sampler2D;
-
-    attribute vec2 aPosition;
     varying vec2 vUv;
     varying vec2 vL;
     varying vec2 vR;
     varying vec2 vT;
     varying vec2 vB;
     uniform vec2 texelSize;
+    uniform sampler2D uTexture;
+    uniform sampler2D uVelocity;
+    uniform sampler2D uTopTexture;
+    uniform sampler2D uBottomTexture;
+    uniform sampler2D uPreviousTopTexture;
+    uniform sampler2D uPreviousBottomTexture;
+    uniform float uTopFade;
+    uniform float uBottomFade;
+    uniform float uReveal;
+    uniform float uTime;
+    uniform float uStrength;
+    uniform vec3 uTint;
+    uniform vec4 uLetterbox;
+    // Per-layer object-fit mapping: xy scales and zw offsets the canvas UV
+    uniform vec4 uTopTransform;
+    uniform vec4 uBottomTransform;
+    uniform vec4 uPreviousTopTransform;
+    uniform vec4 uPreviousBottomTransform;
+    uniform float uFocus;
+    uniform vec3 uFocusColor;
+    uniform vec2 uFocusPointer;
+    uniform float uFocusWidth;
+    uniform vec2 uResolution;
+    ${depthUniforms}
 
-    void main () {
-        vUv = aPosition * 0.5 + 0.5;
-        vL = vUv - vec2(texelSize.x, 0.0);
-        vR = vUv + vec2(texelSize.x, 0.0);
-        vT = vUv + vec2(0.0, texelSize.y);
-        vB = vUv - vec2(0.0, texelSize.y);
-        gl_Position = vec4(aPosition, 0.0, 1.0);
+    vec4 densityAt (vec2 uv) {
+        return readField(uTexture, uv, DENSITY_RANGE);
     }
-  `);
 
-  const clearShader = compileShader(gl.FRAGMENT_SHADER, `
-    precision highp float;
-    precision mediump sampler2D;
-    varying vec2 vUv;
-    uniform sampler2D uTexture;
-    uniform float value;
-    void main () {
-        gl_FragColor = value * texture2D(uTexture, vUv);
+    vec2 velocityAt (vec2 uv) {
+        return readField(uVelocity, uv, VELOCITY_RANGE).xy;
     }
-  `);
 
-  const displayShader = compileShader(gl.FRAGMENT_SHADER, `
-    precision highp float;
-    precision mediump sampler2D;
-    varying vec2 vUv;
-    uniform sampler2D uTexture;
-    uniform sampler2D uTopTexture;
-    uniform sampler2D uBottomTexture;
-    void main () {
-        vec4 density = texture2D(uTexture, vUv);
-        float mask = density.r;
+    vec4 sampleLayer (sampler2D layer, vec4 transform, vec2 uv) {
         // Flip texture coordinates vertically (WebGL uses bottom-left origin)
-        vec2 flippedUv = vec2(vUv.x, 1.0 - vUv.y);
-        vec4 topColor = texture2D(uTopTexture, flippedUv);
-        vec4 bottomColor = texture2D(uBottomTexture, flippedUv);
-        // Swap: show bottom image initially, reveal top image where there's density
-        vec4 finalColor = mix(bottomColor, topColor, smoothstep(0.0, 0.1, mask));
-        gl_FragColor = finalColor;
+        vec2 st = transform.zw + vec2(uv.x, 1.0 - uv.y) * transform.xy;
+        // Letterbox area of a 'contain' fit: black, or clear on a transparent canvas
+        if (st.x < 0.0 || st.x > 1.0 || st.y < 0.0 || st.y > 1.0) return uLetterbox;
+        return texture2D(layer, st);
     }
-  `);
 
-  const splatShader = compileShader(gl.FRAGMENT_SHADER, `
-    precision highp float;
-    precision mediump sampler2D;
-    varying vec2 vUv;
-    uniform sampler2D uTarget;
-    uniform float aspectRatio;
-    uniform vec3 color;
-    uniform vec2 point;
-    uniform float radius;
-    void main () {
-        vec2 p = vUv - point.xy;
-        p.x *= aspectRatio;
-        vec3 splat = exp(-dot(p, p) / radius) * color;
-        vec3 base = texture2D(uTarget, vUv).xyz;
-        gl_FragColor = vec4(base + splat, 1.0);
+    // Digging on through the top layer shows each depth layer where the
+    // density reaches its threshold.
+    vec4 topColor (vec2 uv) {
+        vec4 color = mix(
+            sampleLayer(uPreviousTopTexture, uPreviousTopTransform, uv),
+            sampleLayer(uTopTexture, uTopTransform, uv),
+            uTopFade);
+        ${depthCount > 0 ? 'float density = densityAt(uv).r;' : ''}
+        ${depthLayers}
+        return color;
     }
-  `);
 
-  const advectionShader = compileShader(gl.FRAGMENT_SHADER, `
-    precision highp float;
-    precision mediump sampler2D;
-    varying vec2 vUv;
-    uniform sampler2D uVelocity;
-    uniform sampler2D uSource;
-    uniform vec2 texelSize;
-    uniform float dt;
-    uniform float dissipation;
-    void main () {
-        vec2 coord = vUv - dt * texture2D(uVelocity, vUv).xy * texelSize;
-        gl_FragColor = dissipation * texture2D(uSource, coord);
-        gl_FragColor.a = 1.0;
+    vec4 bottomColor (vec2 uv) {
+        return mix(
+            sampleLayer(uPreviousBottomTexture, uPreviousBottomTransform, uv),
+            sampleLayer(uBottomTexture, uBottomTransform, uv),
+            uBottomFade);
     }
-  `);
 
-  const divergenceShader = compileShader(gl.FRAGMENT_SHADER, `
-    precision highp float;
-    precision mediump sampler2D;
-    varying vec2 vUv;
-    varying vec2 vL;
-    varying vec2 vR;
-    varying vec2 vT;
-    varying vec2 vB;
-    uniform sampler2D uVelocity;
-    vec2 sampleVelocity (in vec2 uv) {
-        vec2 multiplier = vec2(1.0, 1.0);
-        if (uv.x < 0.0) { uv.x = 0.0; multiplier.x = -1.0; }
-        if (uv.x > 1.0) { uv.x = 1.0; multiplier.x = -1.0; }
-        if (uv.y < 0.0) { uv.y = 0.0; multiplier.y = -1.0; }
-        if (uv.y > 1.0) { uv.y = 1.0; multiplier.y = -1.0; }
-        return multiplier * texture2D(uVelocity, uv).xy;
+    // Show bottom image initially, reveal top image where there's density.
+    // uReveal animates a full reveal, reaching partly revealed areas first.
+    float revealMask (vec2 uv) {
+        return smoothstep(0.0, 0.1, densityAt(uv).r + uReveal * 0.1);
     }
-    void main () {
-        float L = sampleVelocity(vL).x;
-        float R = sampleVelocity(vR).x;
-        float T = sampleVelocity(vT).y;
-        float B = sampleVelocity(vB).y;
-        float div = 0.5 * (R - L + T - B);
-        gl_FragColor = vec4(div, 0.0, 0.0, 1.0);
-    }
-  `);
 
-  const curlShader = compileShader(gl.FRAGMENT_SHADER, `
-    precision highp float;
-    precision mediump sampler2D;
-    varying vec2 vUv;
-    varying vec2 vL;
-    varying vec2 vR;
-    varying vec2 vT;
-    varying vec2 vB;
-    uniform sampler2D uVelocity;
-    void main () {
-        float L = texture2D(uVelocity, vL).y;
-        float R = texture2D(uVelocity, vR).y;
-        float T = texture2D(uVelocity, vT).x;
-        float B = texture2D(uVelocity, vB).x;
-        float vorticity = R - L - T + B;
-        gl_FragColor = vec4(vorticity, 0.0, 0.0, 1.0);
-    }
-  `);
+    ${composite}
 
-  const vorticityShader = compileShader(gl.FRAGMENT_SHADER, `
-    precision highp float;
-    precision mediump sampler2D;
-    varying vec2 vUv;
-    varying vec2 vT;
-    varying vec2 vB;
-    uniform sampler2D uVelocity;
-    uniform sampler2D uCurl;
-    uniform float curl;
-    uniform float dt;
-    void main () {
-        float T = texture2D(uCurl, vT).x;
-        float B = texture2D(uCurl, vB).x;
-        float C = texture2D(uCurl, vUv).x;
-        vec2 force = vec2(abs(T) - abs(B), 0.0);
-        force *= 1.0 / length(force + 0.00001) * curl * C;
-        vec2 vel = texture2D(uVelocity, vUv).xy;
-        gl_FragColor = vec4(vel + force * dt, 0.0, 1.0);
+    // Keyboard focus: an outline along the canvas edge and a ring around the
+    // keyboard pointer, in FOCUS_COLOR over a dark halo so that they show on
+    // any image. Widths are in drawing-buffer pixels.
+    vec4 focusIndicator (vec4 color, vec2 uv) {
+        if (uFocus == 0.0) return color;
+        vec2 px = uv * uResolution;
+        float edge = min(min(px.x, px.y), min(uResolution.x - px.x, uResolution.y - px.y));
+        float ring = abs(distance(px, uFocusPointer * uResolution) - 5.0 * uFocusWidth);
+        float d = min(edge, ring);
+        color = mix(color, vec4(0.0, 0.0, 0.0, 1.0), 0.6 * step(d, 2.0 * uFocusWidth));
+        return mix(color, vec4(uFocusColor, 1.0), step(d, uFocusWidth));
     }
-  `);
 
-  const pressureShader = compileShader(gl.FRAGMENT_SHADER, `
-    precision highp float;
-    precision mediump sampler2D;
-    varying vec2 vUv;
-    varying vec2 vL;
-    varying vec2 vR;
-    varying vec2 vT;
-    varying vec2 vB;
-    uniform sampler2D uPressure;
-    uniform sampler2D uDivergence;
-    vec2 boundary (in vec2 uv) {
-        uv = min(max(uv, 0.0), 1.0);
-        return uv;
-    }
     void main () {
-        float L = texture2D(uPressure, boundary(vL)).x;
-        float R = texture2D(uPressure, boundary(vR)).x;
-        float T = texture2D(uPressure, boundary(vT)).x;
-        float B = texture2D(uPressure, boundary(vB)).x;
-        float C = texture2D(uPressure, vUv).x;
-        float divergence = texture2D(uDivergence, vUv).x;
-        float pressure = (L + R + B + T - divergence) * 0.25;
-        gl_FragColor = vec4(pressure, 0.0, 0.0, 1.0);
-    }
-  `);
-
-  const gradientSubtractShader = compileShader(gl.FRAGMENT_SHADER, `
-    precision highp float;
-    precision mediump sampler2D;
-    varying vec2 vUv;
-    varying vec2 vL;
-    varying vec2 vR;
-    varying vec2 vT;
-    varying vec2 vB;
-    uniform sampler2D uPressure;
-    uniform sampler2D uVelocity;
-    vec2 boundary (in vec2 uv) {
-        uv = min(max(uv, 0.0), 1.0);
-        return uv;
+        gl_FragColor = focusIndicator(composite(vUv), vUv);
     }
-    void main () {
-        float L = texture2D(uPressure, boundary(vL)).x;
-        float R = texture2D(uPressure, boundary(vR)).x;
-        float T = texture2D(uPressure, boundary(vT)).x;
-        float B = texture2D(uPressure, boundary(vB)).x;
-        vec2 velocity = texture2D(uVelocity, vUv).xy;
-        velocity.xy -= vec2(R - L, T - B);
-        gl_FragColor = vec4(velocity, 0.0, 1.0);
-    }
-  `);
-
-  // Create programs
-  programs.clear = new GLProgram(baseVertexShader, clearShader);
-  programs.display = new GLProgram(baseVertexShader, displayShader);
-  programs.splat = new GLProgram(baseVertexShader, splatShader);
-  programs.advection = new GLProgram(baseVertexShader, advectionShader);
-  programs.divergence = new GLProgram(baseVertexShader, divergenceShader);
-  programs.curl = new GLProgram(baseVertexShader, curlShader);
-  programs.vorticity = new GLProgram(baseVertexShader, vorticityShader);
-  programs.pressure = new GLProgram(baseVertexShader, pressureShader);
-  programs.gradientSubtract = new GLProgram(baseVertexShader, gradientSubtractShader);
-
-  // Setup blit
-  gl.bindBuffer(gl.ARRAY_BUFFER, gl.createBuffer());
-  gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, -1, 1, 1, 1, 1, -1]), gl.STATIC_DRAW);
-  gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, gl.createBuffer());
-  gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, new Uint16Array([0, 1, 2, 0, 2, 3]), gl.STATIC_DRAW);
-  gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0);
-  gl.enableVertexAttribArray(0);
-
-  blit = (destination) => {
-    gl.bindFramebuffer(gl.FRAMEBUFFER, destination);
-    gl.drawElements(gl.TRIANGLES, 6, gl.UNSIGNED_SHORT, 0);
-  };
+  `;
+}
 
-  // Initialize framebuffers
-  initFramebuffers();
+function layerPrototype() {
+  this.image = null;
+  this.owned = false;
+  this.texture = null;
+  this.previousTexture = null;
+  this.fit = 'cover';
+  this.objectPosition = [0.5, 0.5];
+  this.size = [0, 0];
+  this.previousSize = [0, 0];
+  this.uvTransform = [1, 1, 0, 0];
+  this.previousUvTransform = [1, 1, 0, 0];
+  this.fadeStart = 0;
+  this.fadeDuration = 0;
+  this.requestId = 0;
+  // Videos and live canvases are uploaded again as they change
+  this.live = false;
+  this.frameReady = false;
+  this.frameCallback = null;
+  this.pausedByEffect = false;
 }
 
-function getWebGLContext(canvas) {
-  const params = { alpha: false, depth: false, stencil: false, antialias: false };
+// Probes what the GPU can render into and picks the simulation tier:
+//   full     half-float targets with linear filtering and highp shaders
+//   reduced  half-float without linear filtering or without highp fragment
+//            precision; simulated at half the resolution
+//   rgba8    no renderable half-float; fields are packed into RGBA8 targets
+//            (see fieldPrelude) and simulated at half the resolution
+// `ext` is null, with a `reason`, when none of them can run. A `transparent`
+// canvas gets an alpha channel, premultiplied like the layer textures.
+function getWebGLContext(canvas, transparent = false) {
+  const params = { alpha: transparent, premultipliedAlpha: true, depth: false, stencil: false, antialias: false };
   let gl = canvas.getContext('webgl2', params);
   const isWebGL2 = !!gl;
   if (!isWebGL2)
     gl = canvas.getContext('webgl', params) || canvas.getContext('experimental-webgl', params);
+  if (!gl)
+    return { gl: null, ext: null, reason: 'WebGL is not supported' };
 
   let halfFloat;
   let supportLinearFiltering;
   if (isWebGL2) {
     gl.getExtension('EXT_color_buffer_float');
-    supportLinearFiltering = gl.getExtension('OES_texture_float_linear');
+    // Linear filtering of half-float textures is core in WebGL2;
+    // OES_texture_float_linear only covers 32-bit floats
+    supportLinearFiltering = true;
   } else {
     halfFloat = gl.getExtension('OES_texture_half_float');
-    supportLinearFiltering = gl.getExtension('OES_texture_half_float_linear');
+    supportLinearFiltering = !!gl.getExtension('OES_texture_half_float_linear');
   }
+  const precision = gl.getShaderPrecisionFormat(gl.FRAGMENT_SHADER, gl.HIGH_FLOAT);
+  const highp = !!precision && precision.precision > 0;
 
   gl.clearColor(0.0, 0.0, 0.0, 1.0);
-  const halfFloatTexType = isWebGL2 ? gl.HALF_FLOAT : halfFloat.HALF_FLOAT_OES;
+  const halfFloatTexType = isWebGL2 ? gl.HALF_FLOAT : halfFloat && halfFloat.HALF_FLOAT_OES;
   let formatRGBA, formatRG, formatR;
 
-  if (isWebGL2) {
+  if (halfFloatTexType && isWebGL2) {
     formatRGBA = getSupportedFormat(gl, gl.RGBA16F, gl.RGBA, halfFloatTexType);
     formatRG = getSupportedFormat(gl, gl.RG16F, gl.RG, halfFloatTexType);
     formatR = getSupportedFormat(gl, gl.R16F, gl.RED, halfFloatTexType);
-  } else {
+  } else if (halfFloatTexType) {
     formatRGBA = getSupportedFormat(gl, gl.RGBA, gl.RGBA, halfFloatTexType);
     formatRG = getSupportedFormat(gl, gl.RGBA, gl.RGBA, halfFloatTexType);
     formatR = getSupportedFormat(gl, gl.RGBA, gl.RGBA, halfFloatTexType);
   }
 
+  if (formatRGBA && formatRG && formatR) {
+    let tier = 'full';
+    let reason = null;
+    if (!supportLinearFiltering) {
+      tier = 'reduced';
+      reason = 'Half-float textures cannot be filtered linearly';
+    } else if (!highp) {
+      tier = 'reduced';
+      reason = 'Fragment shaders lack highp precision';
+    }
+    return {
+      gl,
+      ext: { formatRGBA, formatRG, formatR, texType: halfFloatTexType, supportLinearFiltering, highp, encoded: false, tier, reason }
+    };
+  }
+
+  // Packing needs highp to keep 16 bits per channel intact
+  if (!highp)
+    return { gl, ext: null, reason: 'Neither half-float render targets nor highp fragment precision are supported' };
+  const rgba8 = getSupportedFormat(gl, isWebGL2 ? gl.RGBA8 : gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE);
+  if (!rgba8)
+    return { gl, ext: null, reason: 'No renderable texture format' };
+  gl.clearColor(...ENCODED_ZERO);
   return {
     gl,
-    ext: { formatRGBA, formatRG, formatR, halfFloatTexType, supportLinearFiltering }
+    ext: {
+      formatRGBA: rgba8,
+      formatRG: rgba8,
+      formatR: rgba8,
+      texType: gl.UNSIGNED_BYTE,
+      // Interpolating packed bytes would mix high and low halves
+      supportLinearFiltering: false,
+      highp,
+      encoded: true,
+      tier: 'rgba8',
+      reason: 'Half-float render targets are not supported'
+    }
   };
 }
 
@@ -405,24 +403,12 @@ function supportRenderTextureFormat(gl, internalFormat, format, type) {
   gl.bindFramebuffer(gl.FRAMEBUFFER, fbo);
   gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
   const status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
+  gl.deleteFramebuffer(fbo);
+  gl.deleteTexture(texture);
   return status === gl.FRAMEBUFFER_COMPLETE;
 }
 
-function initFramebuffers() {
-  textureWidth = gl.drawingBufferWidth >> config.TEXTURE_DOWNSAMPLE;
-  textureHeight = gl.drawingBufferHeight >> config.TEXTURE_DOWNSAMPLE;
-  const texType = ext.halfFloatTexType;
-  const rgba = ext.formatRGBA;
-  const rg = ext.formatRG;
-  const r = ext.formatR;
-  density = createDoubleFBO(2, textureWidth, textureHeight, rgba.internalFormat, rgba.format, texType, ext.supportLinearFiltering ? gl.LINEAR : gl.NEAREST);
-  velocity = createDoubleFBO(0, textureWidth, textureHeight, rg.internalFormat, rg.format, texType, ext.supportLinearFiltering ? gl.LINEAR : gl.NEAREST);
-  divergence = createFBO(4, textureWidth, textureHeight, r.internalFormat, r.format, texType, gl.NEAREST);
-  curl = createFBO(5, textureWidth, textureHeight, r.internalFormat, r.format, texType, gl.NEAREST);
-  pressure = createDoubleFBO(6, textureWidth, textureHeight, r.internalFormat, r.format, texType, gl.NEAREST);
-}
-
-function createFBO(texId, w, h, internalFormat, format, type, param) {
+function createFBO(gl, texId, w, h, internalFormat, format, type, param) {
   gl.activeTexture(gl.TEXTURE0 + texId);
   let texture = gl.createTexture();
   gl.bindTexture(gl.TEXTURE_2D, texture);
@@ -439,9 +425,9 @@ function createFBO(texId, w, h, internalFormat, format, type, param) {
   return [texture, fbo, texId];
 }
 
-function createDoubleFBO(texId, w, h, internalFormat, format, type, param) {
-  let fbo1 = createFBO(texId, w, h, internalFormat, format, type, param);
-  let fbo2 = createFBO(texId + 1, w, h, internalFormat, format, type, param);
+function createDoubleFBO(gl, texId, w, h, internalFormat, format, type, param) {
+  let fbo1 = createFBO(gl, texId, w, h, internalFormat, format, type, param);
+  let fbo2 = createFBO(gl, texId + 1, w, h, internalFormat, format, type, param);
   return {
     get read() { return fbo1; },
     get write() { return fbo2; },
@@ -449,276 +435,2299 @@ function createDoubleFBO(texId, w, h, internalFormat, format, type, param) {
   };
 }
 
-function loadImages() {
-  const topImg = new Image();
-  const bottomImg = new Image();
-  topImg.crossOrigin = 'anonymous';
-  bottomImg.crossOrigin = 'anonymous';
-  topImg.onload = () => { topImage = topImg; checkImagesReady(); };
-  bottomImg.onload = () => { bottomImage = bottomImg; checkImagesReady(); };
-  topImg.onerror = () => { console.warn('Failed to load top-image.jpg, using placeholder'); topImage = createPlaceholderImage(true); checkImagesReady(); };
-  bottomImg.onerror = () => { console.warn('Failed to load bottom-image.jpg, using placeholder'); bottomImage = createPlaceholderImage(false); checkImagesReady(); };
-  topImg.src = 'top-image.jpg';
-  bottomImg.src = 'bottom-image.jpg';
+function deleteFBO(gl, fbo) {
+  gl.deleteTexture(fbo[0]);
+  gl.deleteFramebuffer(fbo[1]);
 }
 
-function createPlaceholderImage(isTop) {
-  const canvas = document.createElement('canvas');
-  canvas.width = 512;
-  canvas.height = 512;
-  const ctx = canvas.getContext('2d');
-  const gradient = ctx.createLinearGradient(0, 0, 512, 512);
-  gradient.addColorStop(0, isTop ? '#ff6b6b' : '#4ecdc4');
-  gradient.addColorStop(1, isTop ? '#ee5a6f' : '#44a08d');
-  ctx.fillStyle = gradient;
-  ctx.fillRect(0, 0, 512, 512);
-  ctx.fillStyle = 'white';
-  ctx.font = '48px Arial';
-  ctx.textAlign = 'center';
-  ctx.fillText(isTop ? 'TOP IMAGE' : 'BOTTOM IMAGE', 256, 256);
-  return canvas;
-}
-
-function checkImagesReady() {
-  if (topImage && bottomImage && gl) {
-    initTextures();
-    update();
-  }
+function deleteDoubleFBO(gl, fbo) {
+  deleteFBO(gl, fbo.read);
+  deleteFBO(gl, fbo.write);
 }
 
-function initTextures() {
-  const topTexture = gl.createTexture();
-  gl.bindTexture(gl.TEXTURE_2D, topTexture);
-  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
-  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
-  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
-  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
-  gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, topImage);
-  const bottomTexture = gl.createTexture();
-  gl.bindTexture(gl.TEXTURE_2D, bottomTexture);
+function createImageTexture(gl, image) {
+  gl.activeTexture(gl.TEXTURE0 + LAYER_TEXTURE_UNIT);
+  const texture = gl.createTexture();
+  gl.bindTexture(gl.TEXTURE_2D, texture);
   gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
   gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
   gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
   gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
-  gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, bottomImage);
-  window.topTexture = topTexture;
-  window.bottomTexture = bottomTexture;
+  uploadImage(gl, image);
+  return texture;
+}
+
+// Uploads into the bound texture. Images are premultiplied so filtering does
+// not bleed the color of transparent texels into their neighbours, and
+// transparent areas come out black like the letterbox; the browser converts
+// video frames and tagged images to sRGB.
+function uploadImage(gl, image) {
+  gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, true);
+  gl.pixelStorei(gl.UNPACK_COLORSPACE_CONVERSION_WEBGL, gl.BROWSER_DEFAULT_WEBGL);
+  gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, image);
+}
+
+function canvasToBlob(canvas, type, quality) {
+  if (typeof canvas.convertToBlob === 'function')
+    return canvas.convertToBlob({ type, quality });
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Failed to encode the frame')), type, quality);
+  });
 }
 
-function update() {
-  if (!gl || !canvas || !blit || !programs.display) {
-    requestAnimationFrame(update);
-    return;
-  }
-  if (!topImage || !bottomImage) {
-    requestAnimationFrame(update);
-    return;
-  }
-  if (!initialized) {
-    initialized = true;
-    multipleSplats(parseInt(Math.random() * 20) + 5);
-  }
-  resizeCanvas();
-  const dt = Math.min((Date.now() - lastTime) / 1000, 0.016);
-  lastTime = Date.now();
-  gl.viewport(0, 0, textureWidth, textureHeight);
-  if (splatStack.length > 0) multipleSplats(splatStack.pop());
-
-  programs.advection.bind();
-  gl.uniform2f(programs.advection.uniforms.texelSize, 1.0 / textureWidth, 1.0 / textureHeight);
-  gl.uniform1i(programs.advection.uniforms.uVelocity, velocity.read[2]);
-  gl.uniform1i(programs.advection.uniforms.uSource, velocity.read[2]);
-  gl.uniform1f(programs.advection.uniforms.dt, dt);
-  gl.uniform1f(programs.advection.uniforms.dissipation, config.VELOCITY_DISSIPATION);
-  blit(velocity.write[1]);
-  velocity.swap();
-
-  gl.uniform1i(programs.advection.uniforms.uVelocity, velocity.read[2]);
-  gl.uniform1i(programs.advection.uniforms.uSource, density.read[2]);
-  gl.uniform1f(programs.advection.uniforms.dissipation, config.DENSITY_DISSIPATION);
-  blit(density.write[1]);
-  density.swap();
-
-  for (let i = 0; i < pointers.length; i++) {
-    const pointer = pointers[i];
-    if (pointer.moved) {
-      splat(pointer.x, pointer.y, pointer.dx, pointer.dy, pointer.color);
-      pointer.moved = false;
-    }
-  }
-
-  programs.curl.bind();
-  gl.uniform2f(programs.curl.uniforms.texelSize, 1.0 / textureWidth, 1.0 / textureHeight);
-  gl.uniform1i(programs.curl.uniforms.uVelocity, velocity.read[2]);
-  blit(curl[1]);
-
-  programs.vorticity.bind();
-  gl.uniform2f(programs.vorticity.uniforms.texelSize, 1.0 / textureWidth, 1.0 / textureHeight);
-  gl.uniform1i(programs.vorticity.uniforms.uVelocity, velocity.read[2]);
-  gl.uniform1i(programs.vorticity.uniforms.uCurl, curl[2]);
-  gl.uniform1f(programs.vorticity.uniforms.curl, config.CURL);
-  gl.uniform1f(programs.vorticity.uniforms.dt, dt);
-  blit(velocity.write[1]);
-  velocity.swap();
-
-  programs.divergence.bind();
-  gl.uniform2f(programs.divergence.uniforms.texelSize, 1.0 / textureWidth, 1.0 / textureHeight);
-  gl.uniform1i(programs.divergence.uniforms.uVelocity, velocity.read[2]);
-  blit(divergence[1]);
-
-  programs.clear.bind();
-  let pressureTexId = pressure.read[2];
-  gl.activeTexture(gl.TEXTURE0 + pressureTexId);
-  gl.bindTexture(gl.TEXTURE_2D, pressure.read[0]);
-  gl.uniform1i(programs.clear.uniforms.uTexture, pressureTexId);
-  gl.uniform1f(programs.clear.uniforms.value, config.PRESSURE_DISSIPATION);
-  blit(pressure.write[1]);
-  pressure.swap();
-
-  programs.pressure.bind();
-  gl.uniform2f(programs.pressure.uniforms.texelSize, 1.0 / textureWidth, 1.0 / textureHeight);
-  gl.uniform1i(programs.pressure.uniforms.uDivergence, divergence[2]);
-  pressureTexId = pressure.read[2];
-  gl.uniform1i(programs.pressure.uniforms.uPressure, pressureTexId);
-  gl.activeTexture(gl.TEXTURE0 + pressureTexId);
-  for (let i = 0; i < config.PRESSURE_ITERATIONS; i++) {
+export class LiquidReveal {
+  constructor(canvas, options = {}) {
+    if (!canvas)
+      throw new Error('LiquidReveal needs a canvas element');
+
+    const {
+      topImage, bottomImage, brushImage, depthLayers, onFallback, view,
+      fit, objectPosition, topFit, bottomFit, topObjectPosition, bottomObjectPosition,
+      label, topAlt, bottomAlt, announce,
+      ...config
+    } = options;
+    this.canvas = canvas;
+    this.config = Object.assign({}, defaultConfig, config);
+    // Set where there is no DOM, e.g. in a worker; see updateView()
+    this.view = view ? Object.assign({ width: canvas.width, height: canvas.height, pixelRatio: 1 }, view) : null;
+    this.pointers = new Map();
+    this.splatStack = [];
+    this.paths = new Set();
+    this.pathCount = 0;
+    this.replays = new Set();
+    this.replayCount = 0;
+    this.recorder = null;
+    this.programs = {};
+    this.layers = { top: new layerPrototype(), bottom: new layerPrototype() };
+    this.depthLayers = [];
+    this.depthRequestId = 0;
+    this.initialized = false;
+    this.layersLoaded = false;
+    this.running = false;
+    this.destroyed = false;
+    this.frameId = null;
+    this.idle = false;
+    this.quietSteps = 0;
+    this.intersecting = true;
+    this.contextLost = false;
+    this.offline = false;
+    this.reducedMotion = false;
+    this.quality = null;
+    this.gpuTimer = null;
+    this.previousFrame = null;
+    this.lastTime = Date.now();
+    this.listeners = [];
+    this.handlers = new Map();
+    this.progress = 0;
+    this.completed = false;
+    this.lastProgressTime = 0;
+    this.revealAmount = 0;
+    this.revealAnimation = null;
+    this.brushImage = null;
+    this.brushOwned = false;
+    this.brushTexture = null;
+    this.brushRequestId = 0;
+    this.obstacles = null;
+    this.obstacleRequestId = 0;
+    this.attractors = new Set();
+    this.scrollImpulse = [0, 0];
+    this.tilt = null;
+    this.orientationListener = null;
+    this.keys = new Set();
+    this.keyboard = { x: 0.5, y: 0.5, time: 0 };
+    this.focusVisible = false;
+    this.accessibility = null;
+    this.reseed();
+    this.restartClock();
+    this.update = this.update.bind(this);
+
+    this.pendingResize = null;
+    const pixelRatio = this.pixelRatio();
+    const [width, height] = this.cssSize();
+    canvas.width = Math.round((width || window.innerWidth) * pixelRatio);
+    canvas.height = Math.round((height || window.innerHeight) * pixelRatio);
+
+    const context = getWebGLContext(canvas, this.config.TRANSPARENT);
+    if (!context.ext)
+      throw unsupported(context.reason);
+    this.gl = context.gl;
+    this.ext = context.ext;
+    this.tier = context.ext.tier;
+
+    this.setupAdaptiveQuality();
+    try {
+      this.initWebGLResources();
+    } catch (error) {
+      throw unsupported(error);
+    }
+    // The composite stage may be the caller's own GLSL, so its errors are not
+    // the GPU's
+    this.buildDisplayProgram();
+    this.setLayerFit('top', { fit: topFit || fit, objectPosition: topObjectPosition || objectPosition });
+    this.setLayerFit('bottom', { fit: bottomFit || fit, objectPosition: bottomObjectPosition || objectPosition });
+    if (this.view) {
+      this.updateView({});
+    } else {
+      this.setupEventListeners();
+      this.setupLoopObservers();
+      this.accessibility = new RevealAccessibility(this, canvas, { label, topAlt, bottomAlt, announce });
+    }
+    this.setupContextLossHandling();
+    this.ready = this.loadImages(topImage, bottomImage).then(() => {
+      this.layersLoaded = true;
+      this.wake();
+    });
+    // Like a missing brush, depth layers that fail to load are left out
+    // rather than failing the whole effect. So are entries setDepthLayers()
+    // rejects up front, such as more layers than the GPU has units for.
+    if (depthLayers) {
+      let depth;
+      try {
+        depth = this.setDepthLayers(depthLayers);
+      } catch (error) {
+        depth = Promise.reject(error);
+      }
+      depth = depth.catch(error => console.warn(`${error.message}, leaving out the depth layers`));
+      this.ready = Promise.all([this.ready, depth]);
+    }
+    if (brushImage)
+      this.setBrushImage(brushImage).catch(error => console.warn(error.message));
+    if (this.tier !== 'full' && onFallback)
+      onFallback({ tier: this.tier, reason: context.ext.reason });
+  }
+
+  // Like the constructor, but where WebGL cannot run the effect at all this
+  // returns a CanvasReveal from fallback.js instead of throwing. Both report
+  // which tier they run on through `onFallback` and `tier`. Bad arguments,
+  // like an unknown fit or COMPOSITE, still throw.
+  static create(canvas, options = {}) {
+    try {
+      return new LiquidReveal(canvas, options);
+    } catch (error) {
+      if (!canvas || !error.unsupported) throw error;
+      const reveal = new CanvasReveal(canvas, options);
+      if (options.onFallback)
+        options.onFallback({ tier: reveal.tier, reason: error.message || String(error) });
+      return reveal;
+    }
+  }
+
+  start() {
+    if (this.running || this.destroyed) return;
+    this.running = true;
+    this.lastTime = Date.now();
+    this.wake();
+    this.syncPlayback();
+  }
+
+  stop() {
+    this.running = false;
+    this.cancelFrame();
+    this.syncPlayback();
+  }
+
+  // Whether frames should be drawn at all: started, on screen, in a visible
+  // tab and not taken over by renderFrames(). Going idle is tracked separately, since any input ends it.
+  canRender() {
+    const hidden = this.view ? this.view.hidden : document.hidden;
+    return this.running && !this.destroyed && !this.contextLost && !this.offline && this.intersecting && !hidden;
+  }
+
+  // The only place a frame is requested, so at most one loop ever runs.
+  schedule() {
+    if (this.frameId !== null || this.idle || !this.canRender()) return;
+    this.frameId = requestAnimationFrame(this.update);
+  }
+
+  cancelFrame() {
+    if (this.frameId !== null) {
+      cancelAnimationFrame(this.frameId);
+      this.frameId = null;
+    }
+    this.previousFrame = null;
+  }
+
+  // Leaves idle after input or any change that needs a redraw.
+  wake() {
+    this.idle = false;
+    this.schedule();
+  }
+
+  // The fluid decays geometrically once nothing feeds it, so instead of reading
+  // the fields back, estimate what is left after `quietSteps` steps.
+  settled() {
+    const config = this.config;
+    if (this.reducedMotion) return this.quietSteps > 0;
+    const velocity = Math.pow(config.VELOCITY_DISSIPATION, this.quietSteps);
+    const density = config.PERSISTENT ? 0 : Math.pow(config.DENSITY_DISSIPATION, this.quietSteps);
+    return Math.max(velocity, density) < config.IDLE_THRESHOLD;
+  }
+
+  // The simulation advances in fixed TIMESTEP steps, so it behaves the same at
+  // any refresh rate: real time accumulates and each frame takes the whole
+  // steps it covers, at most MAX_SUBSTEPS. LOCKSTEP takes exactly one step
+  // per frame instead, so frame N always shows the same state.
+  advanceClock() {
+    const config = this.config;
+    let steps = 1;
+    if (!config.LOCKSTEP) {
+      const elapsed = (Date.now() - this.lastTime) / 1000;
+      this.accumulator = Math.min(this.accumulator + elapsed, config.TIMESTEP * config.MAX_SUBSTEPS);
+      // The epsilon keeps a frame of exactly one TIMESTEP from rounding down
+      steps = Math.floor(this.accumulator / config.TIMESTEP + 1e-6);
+      this.accumulator = Math.max(this.accumulator - steps * config.TIMESTEP, 0);
+    }
+    this.lastTime = Date.now();
+    this.stepCount += steps;
+    return steps;
+  }
+
+  // Milliseconds on the clock that paths, reveals and fades run on: simulated
+  // time with LOCKSTEP and in offline rendering, so they line up with the
+  // steps, real time otherwise.
+  now() {
+    return this.config.LOCKSTEP || this.offline ? this.stepCount * this.config.TIMESTEP * 1000 : performance.now();
+  }
+
+  // SEED swaps Math.random for a seeded generator.
+  reseed() {
+    const seed = this.config.SEED;
+    this.random = seed !== null && seed !== undefined ? createRandom(seed) : Math.random;
+  }
+
+  restartClock() {
+    this.stepCount = 0;
+    this.accumulator = 0;
+    this.startTime = this.now();
+  }
+
+  randomColor() {
+    return [this.random() + 0.2, this.random() + 0.2, this.random() + 0.2];
+  }
+
+  createPointer() {
+    const pointer = new pointerPrototype();
+    pointer.color = this.randomColor();
+    return pointer;
+  }
+
+  // Pauses while the canvas is scrolled out of view or the tab is hidden, and
+  // follows the reduced-motion preference when REDUCED_MOTION is 'auto'.
+  setupLoopObservers() {
+    const resume = () => {
+      this.lastTime = Date.now();
+      this.schedule();
+    };
+
+    if (typeof IntersectionObserver !== 'undefined') {
+      this.intersectionObserver = new IntersectionObserver(entries => {
+        this.intersecting = entries[entries.length - 1].isIntersecting;
+        if (this.intersecting) resume();
+        else this.cancelFrame();
+        this.syncPlayback();
+      });
+      this.intersectionObserver.observe(this.canvas);
+    }
+
+    this.listen(document, 'visibilitychange', () => {
+      if (document.hidden) this.cancelFrame();
+      else resume();
+      this.syncPlayback();
+    });
+
+    // Resizes are otherwise only noticed by a running loop
+    if (typeof ResizeObserver !== 'undefined') {
+      this.resizeObserver = new ResizeObserver(() => this.wake());
+      this.resizeObserver.observe(this.canvas);
+    } else {
+      this.listen(window, 'resize', () => this.wake());
+    }
+
+    if (typeof matchMedia === 'function') {
+      this.reducedMotionQuery = matchMedia('(prefers-reduced-motion: reduce)');
+      this.listen(this.reducedMotionQuery, 'change', () => this.updateReducedMotion());
+    }
+    this.updateReducedMotion();
+  }
+
+  // A GPU reset or tab eviction drops the context. Pause until the browser
+  // hands it back, then rebuild every GPU resource.
+  setupContextLossHandling() {
+    this.listen(this.canvas, 'webglcontextlost', e => {
+      // Without this the browser never restores the context
+      e.preventDefault();
+      this.contextLost = true;
+      this.cancelFrame();
+      this.emit('contextlost');
+    });
+    this.listen(this.canvas, 'webglcontextrestored', () => this.restoreContext());
+  }
+
+  // Everything on the GPU is gone after a context loss, so recreate it from
+  // what the instance still holds: config, cached images and input state. The
+  // fluid itself starts over. A context that comes back unable to run the
+  // effect leaves it paused.
+  restoreContext() {
+    const context = getWebGLContext(this.canvas, this.config.TRANSPARENT);
+    if (!context.ext) {
+      this.emit('contextrestorefailed', context.reason);
+      return;
+    }
+    this.gl = context.gl;
+    this.ext = context.ext;
+    this.tier = context.ext.tier;
+    this.programs = {};
+    this.density = this.velocity = this.divergence = this.curl = this.pressure = null;
+    this.obstacleTarget = null;
+    // Queries died with the old context
+    if (this.quality) this.gpuTimer = createGpuTimer(this.gl);
+    // Textures first: allocating the targets redraws the obstacle mask
+    this.initTextures();
+    this.initWebGLResources();
+    this.buildDisplayProgram();
+    this.initialized = false;
+    this.contextLost = false;
+    this.lastTime = Date.now();
+    this.emit('contextrestored');
+    this.wake();
+  }
+
+  // Uploads every cached layer, brush and obstacle image again.
+  initTextures() {
+    const gl = this.gl;
+    for (const layer of this.allLayers()) {
+      layer.previousTexture = null;
+      layer.texture = layer.image ? createImageTexture(gl, layer.image) : null;
+    }
+    if (this.brushImage)
+      this.brushTexture = createImageTexture(gl, this.brushImage);
+    if (this.obstacles && this.obstacles.image)
+      this.obstacles.texture = createImageTexture(gl, this.obstacles.image);
+  }
+
+  // ADAPTIVE_QUALITY replaces TEXTURE_DOWNSAMPLE and PRESSURE_ITERATIONS with
+  // a level from quality.js that follows the measured frame time: GPU time
+  // where EXT_disjoint_timer_query is available, the frame interval otherwise.
+  setupAdaptiveQuality() {
+    const config = this.config;
+    if (this.gpuTimer) this.gpuTimer.destroy();
+    this.gpuTimer = null;
+    if (!config.ADAPTIVE_QUALITY) {
+      this.quality = null;
+      return;
+    }
+    this.quality = new QualityController({
+      level: this.quality ? this.quality.level : DEFAULT_QUALITY_LEVEL,
+      min: config.QUALITY_MIN,
+      max: config.QUALITY_MAX,
+      budget: config.FRAME_BUDGET
+    });
+    this.gpuTimer = createGpuTimer(this.gl);
+  }
+
+  // Feeds the last frame's cost to the quality controller and applies a new
+  // level. Resampling keeps the fluid across the change of resolution.
+  adaptQuality(now) {
+    const quality = this.quality;
+    if (!quality) return;
+    let changed = false;
+    if (this.gpuTimer) {
+      for (const time of this.gpuTimer.poll())
+        changed = quality.sample(time, true, now) || changed;
+    } else if (this.previousFrame !== null) {
+      changed = quality.sample(now - this.previousFrame, false, now);
+    }
+    if (!changed) return;
+    if (this.downsample() !== this.textureDownsample)
+      this.initFramebuffers();
+    this.emit('quality', Object.assign({ level: quality.level }, qualityLevels[quality.level]));
+  }
+
+  simulationSettings() {
+    if (this.quality) return qualityLevels[this.quality.level];
+    return { downsample: this.config.TEXTURE_DOWNSAMPLE, pressureIterations: this.config.PRESSURE_ITERATIONS };
+  }
+
+  // Tiers below 'full' simulate at half the resolution.
+  downsample() {
+    return this.simulationSettings().downsample + (this.ext.tier === 'full' ? 0 : 1);
+  }
+
+  updateReducedMotion() {
+    const setting = this.config.REDUCED_MOTION;
+    let preference = !!this.reducedMotionQuery && this.reducedMotionQuery.matches;
+    if (this.view) preference = !!this.view.reducedMotion;
+    this.reducedMotion = setting === 'auto' ? preference : !!setting;
+    this.wake();
+  }
+
+  destroy() {
+    if (this.destroyed) return;
+    this.stop();
+    this.destroyed = true;
+    for (const [target, type, handler, options] of this.listeners)
+      target.removeEventListener(type, handler, options);
+    this.listeners = [];
+    if (!this.view) this.watchOrientation();
+    for (const path of this.paths)
+      path.stop();
+    for (const playback of this.replays)
+      playback.stop();
+    this.attractors.clear();
+    if (this.intersectionObserver) this.intersectionObserver.disconnect();
+    if (this.resizeObserver) this.resizeObserver.disconnect();
+    this.pointers.clear();
+    if (!this.view) this.canvas.style.touchAction = this.previousTouchAction;
+    if (this.accessibility) this.accessibility.destroy();
+
+    const gl = this.gl;
+    this.deleteFramebuffers();
+    for (const layer of this.allLayers()) {
+      gl.deleteTexture(layer.texture);
+      gl.deleteTexture(layer.previousTexture);
+      this.releaseLayerImage(layer);
+    }
+    for (const name in this.programs)
+      gl.deleteProgram(this.programs[name].program);
+    this.programs = {};
+    gl.deleteBuffer(this.vertexBuffer);
+    gl.deleteBuffer(this.indexBuffer);
+    gl.deleteTexture(this.emptyTexture);
+    deleteFBO(gl, this.progressTarget);
+    gl.deleteTexture(this.brushTexture);
+    if (this.brushOwned) closeImageSource(this.brushImage);
+    this.releaseObstacles();
+    if (this.gpuTimer) this.gpuTimer.destroy();
+
+    // Browsers cap the number of live contexts per page, so hand ours back now
+    // rather than waiting for garbage collection.
+    const loseContext = gl.getExtension('WEBGL_lose_context');
+    if (loseContext) loseContext.loseContext();
+  }
+
+  setConfig(config) {
+    if (!this.destroyed && 'TRANSPARENT' in config && config.TRANSPARENT !== this.config.TRANSPARENT)
+      throw new Error('TRANSPARENT can only be set when creating the effect');
+    const previous = Object.assign({}, this.config);
+    Object.assign(this.config, config);
+    if (this.destroyed) return;
+    // A composite that does not compile undoes the whole call, so it goes
+    // before any other change takes effect
+    if (this.config.COMPOSITE !== previous.COMPOSITE) {
+      try {
+        this.buildDisplayProgram();
+      } catch (error) {
+        for (const key in config) {
+          if (key in previous) this.config[key] = previous[key];
+          else delete this.config[key];
+        }
+        throw error;
+      }
+    }
+    if (['ADAPTIVE_QUALITY', 'QUALITY_MIN', 'QUALITY_MAX', 'FRAME_BUDGET'].some(key => this.config[key] !== previous[key]))
+      this.setupAdaptiveQuality();
+    if (this.downsample() !== this.textureDownsample)
+      this.initFramebuffers();
+    if (this.config.REDUCED_MOTION !== previous.REDUCED_MOTION)
+      this.updateReducedMotion();
+    if (this.config.SEED !== previous.SEED)
+      this.reseed();
+    // Animations already running keep their start times on the old clock;
+    // reset() starts everything over on the new one
+    if (this.config.LOCKSTEP !== previous.LOCKSTEP)
+      this.restartClock();
+    if (!this.view && this.config.ORIENTATION_FORCE !== previous.ORIENTATION_FORCE)
+      this.watchOrientation();
+    if (!this.config.KEYBOARD)
+      this.releaseKeys();
+    if (this.accessibility && (this.config.KEYBOARD !== previous.KEYBOARD || this.config.REVEAL_KEY !== previous.REVEAL_KEY))
+      this.accessibility.update();
+    this.wake();
+  }
+
+  setTopImage(source, options) {
+    return this.setLayerImage('top', source, options);
+  }
+
+  setBottomImage(source, options) {
+    return this.setLayerImage('bottom', source, options);
+  }
+
+  setImages({ top, bottom }, options) {
+    const pending = [];
+    if (top) pending.push(this.setTopImage(top, options));
+    if (bottom) pending.push(this.setBottomImage(bottom, options));
+    return Promise.all(pending);
+  }
+
+  // Loads `source` and swaps it in once decoded. If another swap for the same
+  // layer starts in the meantime, the older one is dropped. Videos and
+  // streams are always live; canvases are when `live` is set. A null source
+  // empties the layer, which shows through on a transparent canvas. `alt`
+  // describes the new image to screen readers (see setDescription()).
+  setLayerImage(name, source, { fade = 0, fit, objectPosition, live = false, alt } = {}) {
+    const layer = this.layers[name];
+    this.setLayerFit(name, { fit, objectPosition });
+    if (alt !== undefined) this.setDescription({ [`${name}Alt`]: alt });
+    const requestId = ++layer.requestId;
+    if (source === null) {
+      this.applyLayerImage(layer, null, false, fade, false);
+      return Promise.resolve();
+    }
+    return loadImageSource(source).then(({ image, owned }) => {
+      if (requestId !== layer.requestId || this.destroyed) {
+        if (owned) closeImageSource(image);
+        return;
+      }
+      this.applyLayerImage(layer, image, owned, fade, live);
+    });
+  }
+
+  // `fit` is one of 'cover', 'contain' or 'fill' and `objectPosition` takes
+  // CSS object-position keywords and percentages, e.g. 'left top' or '30% 50%'.
+  setLayerFit(name, { fit, objectPosition } = {}) {
+    const layer = this.layers[name];
+    if (fit) checkFit(fit);
+    const position = objectPosition !== undefined ? parseObjectPosition(objectPosition) : layer.objectPosition;
+    if (fit) layer.fit = fit;
+    layer.objectPosition = position;
+    this.updateLayerTransform(layer);
+    this.wake();
+  }
+
+  updateLayerTransform(layer) {
+    const width = this.gl.drawingBufferWidth;
+    const height = this.gl.drawingBufferHeight;
+    const [x, y] = layer.objectPosition;
+    layer.uvTransform = computeFitTransform(layer.fit, [x, y], layer.size[0], layer.size[1], width, height);
+    layer.previousUvTransform = computeFitTransform(layer.fit, [x, y], layer.previousSize[0], layer.previousSize[1], width, height);
+    if (this.obstacles && this.layers[this.obstacles.layer] === layer)
+      this.drawObstacles();
+  }
+
+  applyLayerImage(layer, image, owned, fade, live) {
+    const gl = this.gl;
+    this.releaseLayerImage(layer);
+    layer.image = image;
+    layer.owned = owned;
+
+    gl.deleteTexture(layer.previousTexture);
+    layer.previousTexture = null;
+    if (fade > 0 && layer.texture) {
+      layer.previousTexture = layer.texture;
+      layer.previousSize = layer.size;
+      layer.fadeStart = this.now();
+      layer.fadeDuration = fade;
+    } else {
+      gl.deleteTexture(layer.texture);
+    }
+    layer.texture = image ? createImageTexture(gl, image) : null;
+    layer.size = image ? getSourceSize(image) : [0, 0];
+    this.updateLayerTransform(layer);
+    this.watchLiveLayer(layer, live);
+    this.wake();
+  }
+
+  // Marks a layer live and, for videos that support it, flags each new frame
+  // with requestVideoFrameCallback so only fresh frames are uploaded and an
+  // idle loop wakes for them.
+  watchLiveLayer(layer, live) {
+    const image = layer.image;
+    layer.live = live || isVideo(image);
+    layer.frameReady = true;
+    this.syncPlayback();
+    if (!isVideo(image) || typeof image.requestVideoFrameCallback !== 'function') return;
+    const onFrame = () => {
+      layer.frameReady = true;
+      layer.frameCallback = image.requestVideoFrameCallback(onFrame);
+      this.wake();
+    };
+    layer.frameCallback = image.requestVideoFrameCallback(onFrame);
+  }
+
+  releaseLayerImage(layer) {
+    const image = layer.image;
+    if (layer.frameCallback !== null) image.cancelVideoFrameCallback(layer.frameCallback);
+    if (layer.pausedByEffect && !layer.owned) image.play().catch(() => {});
+    if (layer.owned) closeImageSource(image);
+    layer.live = false;
+    layer.frameCallback = null;
+    layer.pausedByEffect = false;
+  }
+
+  // Uploads the current frame of live layers: videos when a new frame is
+  // flagged, or every frame while playing where frames cannot be observed;
+  // canvases every frame.
+  refreshLiveLayers() {
+    const gl = this.gl;
+    for (const layer of this.allLayers()) {
+      const image = layer.image;
+      if (!layer.live || !layer.texture) continue;
+      if (isVideo(image)) {
+        if (image.readyState < image.HAVE_CURRENT_DATA) continue;
+        if (!layer.frameReady && (layer.frameCallback !== null || image.paused)) continue;
+      }
+      layer.frameReady = false;
+      gl.activeTexture(gl.TEXTURE0 + LAYER_TEXTURE_UNIT);
+      gl.bindTexture(gl.TEXTURE_2D, layer.texture);
+      uploadImage(gl, image);
+      // Streams can change resolution, e.g. when a phone camera rotates
+      const [width, height] = getSourceSize(image);
+      if (width !== layer.size[0] || height !== layer.size[1]) {
+        layer.size = [width, height];
+        this.updateLayerTransform(layer);
+      }
+    }
+  }
+
+  // Whether live layers need frames drawn without being asked: canvases, and
+  // playing videos whose frames cannot be observed.
+  hasLiveFrames() {
+    return this.allLayers().some(layer => layer.live &&
+      (!isVideo(layer.image) || (layer.frameCallback === null && !layer.image.paused)));
+  }
+
+  // Video layers play only while the effect does: stopping, scrolling out of
+  // view or hiding the tab pauses them, and resuming plays those it paused
+  // and the videos it made itself.
+  syncPlayback() {
+    const playing = this.canRender();
+    for (const layer of this.allLayers()) {
+      const video = layer.image;
+      if (!layer.live || !isVideo(video)) continue;
+      if (!playing && !video.paused) {
+        video.pause();
+        layer.pausedByEffect = true;
+      } else if (playing && video.paused && (layer.pausedByEffect || layer.owned)) {
+        layer.pausedByEffect = false;
+        video.play().catch(() => {});
+      }
+    }
+  }
+
+  // Images under the top layer, from shallow to deep, which digging on
+  // through a revealed area uncovers one after another. Each entry is
+  // { image, threshold, fit, objectPosition }: `image` takes the same sources
+  // as setLayerImage() and a layer shows fully once the density reaches
+  // `threshold` (the top layer shows at 0.1). Replaces the whole stack;
+  // pass [] to remove it.
+  setDepthLayers(entries) {
+    const gl = this.gl;
+    const maxLayers = Math.max(0, Math.min(MAX_DEPTH_LAYERS, gl.getParameter(gl.MAX_TEXTURE_IMAGE_UNITS) - DEPTH_TEXTURE_UNIT));
+    if (entries.length > maxLayers)
+      throw new Error(`At most ${maxLayers} depth layers are supported here`);
+    // Checked up front, so a bad entry throws before anything is replaced
+    const positions = entries.map(entry => {
+      if (entry.fit) checkFit(entry.fit);
+      return entry.objectPosition !== undefined ? parseObjectPosition(entry.objectPosition) : null;
+    });
+    const requestId = ++this.depthRequestId;
+    return Promise.allSettled(entries.map(entry => loadImageSource(entry.image))).then(results => {
+      const failed = results.find(result => result.status === 'rejected');
+      if (failed || requestId !== this.depthRequestId || this.destroyed) {
+        for (const result of results)
+          if (result.status === 'fulfilled' && result.value.owned) closeImageSource(result.value.image);
+        if (failed) throw failed.reason;
+        return;
+      }
+      const previousCount = this.depthLayers.length;
+      for (const layer of this.depthLayers) {
+        gl.deleteTexture(layer.texture);
+        this.releaseLayerImage(layer);
+      }
+      this.depthLayers = results.map(({ value: { image, owned } }, i) => {
+        const entry = entries[i];
+        const layer = new layerPrototype();
+        layer.image = image;
+        layer.owned = owned;
+        layer.texture = createImageTexture(gl, image);
+        layer.size = getSourceSize(image);
+        layer.threshold = entry.threshold !== undefined ? entry.threshold : 0.1 + 0.3 * (i + 1);
+        if (entry.fit) layer.fit = entry.fit;
+        if (positions[i]) layer.objectPosition = positions[i];
+        this.updateLayerTransform(layer);
+        return layer;
+      });
+      this.depthLayers.forEach((layer, i) => this.watchLiveLayer(layer, !!entries[i].live));
+      if (this.depthLayers.length !== previousCount)
+        this.buildDisplayProgram();
+      this.wake();
+    });
+  }
+
+  allLayers() {
+    return [this.layers.top, this.layers.bottom, ...this.depthLayers];
+  }
+
+  // Cross-fade progress of a layer; frees the outgoing texture once done.
+  layerFade(layer, now) {
+    if (!layer.previousTexture) return 1;
+    const t = (now - layer.fadeStart) / layer.fadeDuration;
+    if (t < 1) return t;
+    this.gl.deleteTexture(layer.previousTexture);
+    layer.previousTexture = null;
+    return 1;
+  }
+
+  // Subscribes to 'progress' (revealed fraction, throttled to
+  // PROGRESS_INTERVAL), 'complete' (once COMPLETE_THRESHOLD is reached),
+  // 'quality' (adaptive quality level changed), 'contextlost',
+  // 'contextrestored' or 'contextrestorefailed' (with the reason). Returns a
+  // function that unsubscribes again.
+  on(type, handler) {
+    if (!this.handlers.has(type)) this.handlers.set(type, new Set());
+    this.handlers.get(type).add(handler);
+    return () => this.off(type, handler);
+  }
+
+  off(type, handler) {
+    const handlers = this.handlers.get(type);
+    if (handlers) handlers.delete(handler);
+  }
+
+  emit(type, detail) {
+    const handlers = this.handlers.get(type);
+    if (!handlers) return;
+    for (const handler of [...handlers])
+      handler(detail);
+  }
+
+  hasListeners(type) {
+    const handlers = this.handlers.get(type);
+    return !!handlers && handlers.size > 0;
+  }
+
+  // Animates the rest of the top image in, growing outwards from what is
+  // already revealed.
+  revealAll(duration = this.config.AUTO_REVEAL_DURATION) {
+    if (this.reducedMotion) duration = 0;
+    this.revealAnimation = { from: this.revealAmount, start: this.now(), duration };
+    this.wake();
+  }
+
+  // Clears the fluid and the reveal so the effect starts over, e.g. for a new
+  // scratch card.
+  reset() {
+    const gl = this.gl;
+    for (const fbo of [this.density.read, this.velocity.read, this.pressure.read]) {
+      gl.bindFramebuffer(gl.FRAMEBUFFER, fbo[1]);
+      gl.clear(gl.COLOR_BUFFER_BIT);
+    }
+    this.splatStack = [];
+    this.progress = 0;
+    this.completed = false;
+    this.revealAmount = 0;
+    this.revealAnimation = null;
+    this.reseed();
+    this.restartClock();
+    this.wake();
+  }
+
+  advanceReveal(now) {
+    const animation = this.revealAnimation;
+    if (!animation) return;
+    const t = animation.duration > 0 ? Math.min((now - animation.start) / animation.duration, 1) : 1;
+    this.revealAmount = animation.from + (1 - animation.from) * easings.easeInOutCubic(t);
+    if (t === 1) this.revealAnimation = null;
+  }
+
+  // Reduces the displayed mask into a small target and reads it back at most
+  // every PROGRESS_INTERVAL ms, or right away when `force`d because the loop
+  // is about to go idle. Skipped entirely while nobody is listening.
+  measureProgress(now, force = false) {
+    const config = this.config;
+    if (!this.hasListeners('progress') && !this.hasListeners('complete') && !config.AUTO_REVEAL) return;
+    if (!force && now - this.lastProgressTime < config.PROGRESS_INTERVAL) return;
+    this.lastProgressTime = now;
+
+    const gl = this.gl;
+    const program = this.programs.reduce;
+    program.bind();
+    gl.viewport(0, 0, PROGRESS_SIZE, PROGRESS_SIZE);
+    gl.uniform2f(program.uniforms.texelSize, 1.0 / PROGRESS_SIZE, 1.0 / PROGRESS_SIZE);
+    gl.uniform1i(program.uniforms.uTexture, this.density.read[2]);
+    this.blit(this.progressTarget[1]);
+    const pixels = new Uint8Array(PROGRESS_SIZE * PROGRESS_SIZE * 4);
+    gl.readPixels(0, 0, PROGRESS_SIZE, PROGRESS_SIZE, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+
+    let sum = 0;
+    for (let i = 0; i < pixels.length; i += 4)
+      sum += pixels[i];
+    const measured = sum / (255 * PROGRESS_SIZE * PROGRESS_SIZE);
+    this.progress = this.revealAmount + (1 - this.revealAmount) * measured;
+    this.emit('progress', this.progress);
+    if (!this.completed && this.progress >= config.COMPLETE_THRESHOLD) {
+      this.completed = true;
+      this.emit('complete', this.progress);
+      if (config.AUTO_REVEAL) this.revealAll();
+    }
+  }
+
+  // Queues a splat for the next frame. x and y are fractions of the canvas
+  // from its top-left corner, dx and dy the motion in canvas sizes per second.
+  // `radius` is in SPLAT_RADIUS units and `strength` scales the revealed amount.
+  splat({ x, y, dx = 0, dy = 0, radius = this.config.SPLAT_RADIUS, strength = 1 }) {
+    if (this.recorder) this.recorder.add(this.stepCount, 'splat', { x, y, dx, dy, radius, strength });
+    this.splatStack.push({ x, y, dx, dy, radius, strength });
+    this.wake();
+  }
+
+  // Drives a virtual pointer along `steps`, a single path or an array played in
+  // sequence. Each step has `points` (normalized [x, y] pairs), an optional
+  // `curve` ('linear' or 'bezier'), `duration` and `delay` in ms and `easing`
+  // (a name from path.js or a function). Returns a handle with `stop()` and a
+  // `finished` promise.
+  playPath(steps, { loop = false, radius = 1, strength = 1 } = {}) {
+    const pointer = this.createPointer();
+    pointer.id = `path-${++this.pathCount}`;
+    pointer.type = 'path';
+    pointer.radius = radius;
+    pointer.strength = strength;
+
+    let resolveFinished;
+    const path = {
+      player: new PathPlayer(steps, { loop }),
+      pointer,
+      start: this.now(),
+      step: -1,
+      done: false,
+      finished: new Promise(resolve => { resolveFinished = resolve; }),
+      stop: () => {
+        this.paths.delete(path);
+        this.pointers.delete(pointer.id);
+        resolveFinished();
+      }
+    };
+    this.paths.add(path);
+    this.pointers.set(pointer.id, pointer);
+    this.wake();
+    return { stop: path.stop, finished: path.finished };
+  }
+
+  // Moves each path's virtual pointer to where its timeline is now. The
+  // pointer then splats through the same loop as real input.
+  advancePaths(now) {
+    const canvas = this.canvas;
+    for (const path of this.paths) {
+      // Finished paths linger one frame so their final move still splats
+      if (path.done) {
+        path.stop();
+        continue;
+      }
+      const { step, point, done } = path.player.sample(now - path.start);
+      const pointer = path.pointer;
+      if (point) {
+        const x = point[0] * canvas.width;
+        const y = point[1] * canvas.height;
+        if (step === path.step) {
+          pointer.dx = (x - pointer.x) * 10.0;
+          pointer.dy = (y - pointer.y) * 10.0;
+          pointer.moved = true;
+        } else {
+          pointer.lastX = x;
+          pointer.lastY = y;
+        }
+        pointer.x = x;
+        pointer.y = y;
+      }
+      path.step = point ? step : -1;
+      path.done = done;
+    }
+  }
+
+  // Starts capturing pointer input and splat() calls. stopRecording() ends it
+  // and returns the recording, in the JSON format documented in recording.js.
+  startRecording() {
+    const canvas = this.canvas;
+    this.recorder = new Recorder(this.stepCount, {
+      timestep: this.config.TIMESTEP,
+      seed: this.config.SEED,
+      aspect: canvas.width / canvas.height
+    });
+  }
+
+  stopRecording() {
+    const recorder = this.recorder;
+    if (!recorder) return null;
+    this.recorder = null;
+    return recorder.finish(this.stepCount);
+  }
+
+  // Feeds a recording, as an object or JSON string, back through the same
+  // input path as live events, step by step on the simulation timeline.
+  // Replayed pointers get their own ids, so they never clash with live ones.
+  // Returns a handle with `stop()` and a `finished` promise, like playPath().
+  playRecording(recording, { loop = false } = {}) {
+    let resolveFinished;
+    const playback = {
+      replay: new Replay(parseRecording(recording), this.stepCount, { loop }),
+      prefix: `replay-${++this.replayCount}-`,
+      done: false,
+      finished: new Promise(resolve => { resolveFinished = resolve; }),
+      stop: () => {
+        this.replays.delete(playback);
+        this.releaseReplayPointers(playback);
+        resolveFinished();
+      }
+    };
+    this.replays.add(playback);
+    this.wake();
+    return { stop: playback.stop, finished: playback.finished };
+  }
+
+  advanceReplays(step) {
+    for (const playback of this.replays) {
+      // Finished replays linger one frame so their final moves still splat
+      if (playback.done) {
+        playback.stop();
+        continue;
+      }
+      const { events, done, restarted, nextEvents } = playback.replay.take(step);
+      this.applyReplayEvents(playback, events);
+      // A hovering mouse would otherwise jump back to the start of the loop
+      if (restarted) this.releaseReplayPointers(playback);
+      this.applyReplayEvents(playback, nextEvents);
+      playback.done = done;
+    }
+  }
+
+  applyReplayEvents(playback, events) {
+    const config = this.config;
+    for (const event of events) {
+      if (event.type === 'splat') {
+        this.splatStack.push({
+          x: event.x,
+          y: event.y,
+          dx: event.dx || 0,
+          dy: event.dy || 0,
+          radius: event.radius !== undefined ? event.radius : config.SPLAT_RADIUS,
+          strength: event.strength !== undefined ? event.strength : 1
+        });
+      } else {
+        this.handleInput(event.type, Object.assign({}, event, { pointer: playback.prefix + event.pointer }));
+      }
+    }
+  }
+
+  releaseReplayPointers(playback) {
+    for (const id of [...this.pointers.keys()]) {
+      if (typeof id === 'string' && id.startsWith(playback.prefix))
+        this.pointers.delete(id);
+    }
+  }
+
+  // Encodes the current frame, by default as PNG. The frame is drawn again
+  // right before toBlob() reads it, since the drawing buffer is only
+  // guaranteed to hold it until the browser composites the page; keeping it
+  // around for good (preserveDrawingBuffer) would slow every frame down.
+  captureFrame({ type = 'image/png', quality } = {}) {
+    return this.ready.then(() => {
+      this.render(this.now());
+      return canvasToBlob(this.canvas, type, quality);
+    });
+  }
+
+  // Records the canvas as it plays, through captureStream() and MediaRecorder.
+  // Stops after `duration` ms if given, or on stop(); `finished` resolves with
+  // the video Blob.
+  recordVideo({ duration, fps = 60, mimeType = 'video/webm', videoBitsPerSecond } = {}) {
+    if (typeof MediaRecorder === 'undefined' || !this.canvas.captureStream)
+      throw new Error('Video recording is not supported');
+    if (!MediaRecorder.isTypeSupported(mimeType))
+      throw new Error(`Unsupported video type '${mimeType}'`);
+
+    const stream = this.canvas.captureStream(fps);
+    const mediaRecorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond });
+    const chunks = [];
+    let timeout = null;
+    const finished = new Promise((resolve, reject) => {
+      mediaRecorder.addEventListener('dataavailable', e => {
+        if (e.data.size > 0) chunks.push(e.data);
+      });
+      mediaRecorder.addEventListener('stop', () => {
+        clearTimeout(timeout);
+        for (const track of stream.getTracks())
+          track.stop();
+        resolve(new Blob(chunks, { type: mimeType }));
+      });
+      mediaRecorder.addEventListener('error', e => reject(e.error));
+    });
+    const stop = () => {
+      if (mediaRecorder.state !== 'inactive') mediaRecorder.stop();
+    };
+    mediaRecorder.start();
+    if (duration !== undefined) timeout = setTimeout(stop, duration);
+    this.wake();
+    return { stop, finished };
+  }
+
+  // Renders a clip offline at exactly `fps`, however slow encoding is: the
+  // effect starts over, a virtual pointer follows `path` (steps as for
+  // playPath()) and every frame is encoded like captureFrame(). Runs for the
+  // path's length unless `duration` (ms) is given. Frames go to
+  // `onFrame(blob, index)` if given, otherwise the promise resolves with all
+  // of them. The live loop pauses meanwhile and resumes afterwards.
+  async renderFrames({ path, duration, fps = 30, type = 'image/png', quality, onFrame } = {}) {
+    if (this.offline)
+      throw new Error('Already rendering frames');
+    if (duration === undefined) {
+      if (!path) throw new Error('renderFrames needs a path or a duration');
+      duration = new PathPlayer(path).duration;
+    }
+    await this.ready;
+
+    const frames = [];
+    this.cancelFrame();
+    this.offline = true;
+    // Also restarts the clock, so the path starts at frame 0
+    this.reset();
+    try {
+      const playback = path ? this.playPath(path) : null;
+      const count = Math.ceil(duration / 1000 * fps);
+      let steps = 0;
+      for (let i = 0; i < count && !this.destroyed; i++) {
+        const target = Math.round((i + 1) / fps / this.config.TIMESTEP);
+        this.stepCount += target - steps;
+        this.step(target - steps);
+        steps = target;
+        const blob = await canvasToBlob(this.canvas, type, quality);
+        if (onFrame) await onFrame(blob, i);
+        else frames.push(blob);
+      }
+      if (playback) playback.stop();
+    } finally {
+      this.offline = false;
+      this.reseed();
+      this.restartClock();
+      this.lastTime = Date.now();
+      this.wake();
+    }
+    return frames;
+  }
+
+  listen(target, type, handler, options) {
+    target.addEventListener(type, handler, options);
+    this.listeners.push([target, type, handler, options]);
+  }
+
+  initWebGLResources() {
+    const gl = this.gl;
+    const programs = this.programs;
+
+    // Compile shaders
+    const baseVertexShader = compileShader(gl, gl.VERTEX_SHADER, `
+      precision highp float;
+      precision mediump sampler2D;
+
+      attribute vec2 aPosition;
+      varying vec2 vUv;
+      varying vec2 vL;
+      varying vec2 vR;
+      varying vec2 vT;
+      varying vec2 vB;
+      uniform vec2 texelSize;
+
+      void main () {
+          vUv = aPosition * 0.5 + 0.5;
+          vL = vUv - vec2(texelSize.x, 0.0);
+          vR = vUv + vec2(texelSize.x, 0.0);
+          vT = vUv + vec2(0.0, texelSize.y);
+          vB = vUv - vec2(0.0, texelSize.y);
+          gl_Position = vec4(aPosition, 0.0, 1.0);
+      }
+    `);
+
+    const clearShader = this.compileFragmentShader(`
+      precision highp float;
+      precision mediump sampler2D;
+      varying vec2 vUv;
+      uniform sampler2D uTexture;
+      uniform float value;
+      uniform float range;
+      void main () {
+          gl_FragColor = writeField(value * readField(uTexture, vUv, range), range);
+      }
+    `);
+
+    const splatShader = this.compileFragmentShader(`
+      precision highp float;
+      precision mediump sampler2D;
+      varying vec2 vUv;
+      uniform sampler2D uTarget;
+      uniform sampler2D uBrush;
+      uniform float aspectRatio;
+      uniform vec3 color;
+      uniform vec2 point;
+      uniform float radius;
+      // 0: gaussian, 1: ellipse stretched along the motion, 2: uBrush alpha stamp
+      uniform int brush;
+      uniform vec2 direction;
+      uniform float stretch;
+      uniform float range;
+      ${obstacleSource}
+      float brushAmount (vec2 p) {
+          if (brush == 0) return exp(-dot(p, p) / radius);
+          // Brush space: x along the direction of motion, y across it
+          vec2 q = vec2(dot(p, direction), dot(p, vec2(-direction.y, direction.x)));
+          if (brush == 1) {
+              q.x /= stretch;
+              return exp(-dot(q, q) / radius);
+          }
+          vec2 st = q / (4.0 * sqrt(radius)) + 0.5;
+          if (st.x < 0.0 || st.x > 1.0 || st.y < 0.0 || st.y > 1.0) return 0.0;
+          // Images are stored top row first, so flip to keep the stamp upright
+          return texture2D(uBrush, vec2(st.x, 1.0 - st.y)).a;
+      }
+      void main () {
+          vec2 p = vUv - point.xy;
+          p.x *= aspectRatio;
+          vec3 splat = brushAmount(p) * color;
+          vec3 base = readField(uTarget, vUv, range).xyz;
+          if (solid(vUv)) splat = vec3(0.0);
+          gl_FragColor = writeField(vec4(base + splat, 1.0), range);
+      }
+    `);
+
+    const advectionShader = this.compileFragmentShader(`
+      precision highp float;
+      precision mediump sampler2D;
+      varying vec2 vUv;
+      uniform sampler2D uVelocity;
+      uniform sampler2D uSource;
+      uniform vec2 texelSize;
+      uniform float dt;
+      uniform float dissipation;
+      uniform float range;
+      ${obstacleSource}
+      void main () {
+          if (solid(vUv)) {
+              gl_FragColor = writeField(vec4(0.0, 0.0, 0.0, 1.0), range);
+              return;
+          }
+          vec2 coord = vUv - dt * readField(uVelocity, vUv, VELOCITY_RANGE).xy * texelSize;
+          vec4 result = dissipation * readField(uSource, coord, range);
+          result.a = 1.0;
+          gl_FragColor = writeField(result, range);
+      }
+    `);
+
+    const divergenceShader = this.compileFragmentShader(`
+      precision highp float;
+      precision mediump sampler2D;
+      varying vec2 vUv;
+      varying vec2 vL;
+      varying vec2 vR;
+      varying vec2 vT;
+      varying vec2 vB;
+      uniform sampler2D uVelocity;
+      ${obstacleSource}
+      vec2 sampleVelocity (in vec2 uv) {
+          vec2 multiplier = vec2(1.0, 1.0);
+          if (uv.x < 0.0) { uv.x = 0.0; multiplier.x = -1.0; }
+          if (uv.x > 1.0) { uv.x = 1.0; multiplier.x = -1.0; }
+          if (uv.y < 0.0) { uv.y = 0.0; multiplier.y = -1.0; }
+          if (uv.y > 1.0) { uv.y = 1.0; multiplier.y = -1.0; }
+          // Obstacles are walls that do not move
+          if (solid(uv)) return vec2(0.0);
+          return multiplier * readField(uVelocity, uv, VELOCITY_RANGE).xy;
+      }
+      void main () {
+          float L = sampleVelocity(vL).x;
+          float R = sampleVelocity(vR).x;
+          float T = sampleVelocity(vT).y;
+          float B = sampleVelocity(vB).y;
+          float div = 0.5 * (R - L + T - B);
+          gl_FragColor = writeField(vec4(div, 0.0, 0.0, 1.0), PRESSURE_RANGE);
+      }
+    `);
+
+    const curlShader = this.compileFragmentShader(`
+      precision highp float;
+      precision mediump sampler2D;
+      varying vec2 vUv;
+      varying vec2 vL;
+      varying vec2 vR;
+      varying vec2 vT;
+      varying vec2 vB;
+      uniform sampler2D uVelocity;
+      void main () {
+          float L = readField(uVelocity, vL, VELOCITY_RANGE).y;
+          float R = readField(uVelocity, vR, VELOCITY_RANGE).y;
+          float T = readField(uVelocity, vT, VELOCITY_RANGE).x;
+          float B = readField(uVelocity, vB, VELOCITY_RANGE).x;
+          float vorticity = R - L - T + B;
+          gl_FragColor = writeField(vec4(vorticity, 0.0, 0.0, 1.0), PRESSURE_RANGE);
+      }
+    `);
+
+    // External forces. Wind, tilt, scroll and attractors push the revealed
+    // fluid, as much as it shows; a uniform push on the whole field would just
+    // be cancelled by the pressure projection. Turbulence is the curl of a
+    // stream function made of drifting, rotated sine waves, so it is
+    // divergence-free and survives the projection everywhere.
+    const forcesShader = this.compileFragmentShader(`
+      #define MAX_ATTRACTORS ${MAX_ATTRACTORS}
+      precision highp float;
+      precision mediump sampler2D;
+      varying vec2 vUv;
+      uniform sampler2D uVelocity;
+      uniform sampler2D uDensity;
+      uniform float aspectRatio;
+      uniform float dt;
+      uniform vec2 force;
+      uniform vec2 impulse;
+      uniform vec4 attractors[MAX_ATTRACTORS];
+      uniform float turbulence;
+      uniform float noiseScale;
+      uniform float phase;
+      vec2 curlNoise (vec2 p) {
+          vec2 gradient = vec2(0.0);
+          mat2 rotation = mat2(1.0);
+          float frequency = 1.0;
+          float amplitude = 1.0;
+          for (int i = 0; i < 3; i++) {
+              vec2 q = rotation * p * frequency + float(i) * 1.7;
+              // Whole multiples of the phase keep the pattern periodic
+              float a = q.x + float(i + 3) * phase;
+              float b = q.y - float(i + 2) * phase;
+              // Gradient of sin(a) * cos(b), rotated back
+              gradient += amplitude * (vec2(cos(a) * cos(b), -sin(a) * sin(b)) * rotation);
+              rotation = rotation * mat2(0.8, 0.6, -0.6, 0.8);
+              frequency *= 2.0;
+              amplitude *= 0.5;
+          }
+          return vec2(gradient.y, -gradient.x);
+      }
+      void main () {
+          vec2 pull = vec2(0.0);
+          for (int i = 0; i < MAX_ATTRACTORS; i++) {
+              vec4 attractor = attractors[i];
+              vec2 offset = attractor.xy - vUv;
+              offset.x *= aspectRatio;
+              float gap = length(offset);
+              if (gap > 0.0)
+                  pull += attractor.z * exp(-gap * gap / (attractor.w * attractor.w)) * offset / gap;
+          }
+          float amount = min(readField(uDensity, vUv, DENSITY_RANGE).r * 10.0, 1.0);
+          vec2 velocity = readField(uVelocity, vUv, VELOCITY_RANGE).xy;
+          velocity += amount * ((force + pull) * dt + impulse);
+          velocity += turbulence * dt * curlNoise(vec2(vUv.x * aspectRatio, vUv.y) * noiseScale);
+          gl_FragColor = writeField(vec4(velocity, 0.0, 1.0), VELOCITY_RANGE);
+      }
+    `);
+
+    const vorticityShader = this.compileFragmentShader(`
+      precision highp float;
+      precision mediump sampler2D;
+      varying vec2 vUv;
+      varying vec2 vT;
+      varying vec2 vB;
+      uniform sampler2D uVelocity;
+      uniform sampler2D uCurl;
+      uniform float curl;
+      uniform float dt;
+      void main () {
+          float T = readField(uCurl, vT, PRESSURE_RANGE).x;
+          float B = readField(uCurl, vB, PRESSURE_RANGE).x;
+          float C = readField(uCurl, vUv, PRESSURE_RANGE).x;
+          vec2 force = vec2(abs(T) - abs(B), 0.0);
+          force *= 1.0 / length(force + 0.00001) * curl * C;
+          vec2 vel = readField(uVelocity, vUv, VELOCITY_RANGE).xy;
+          gl_FragColor = writeField(vec4(vel + force * dt, 0.0, 1.0), VELOCITY_RANGE);
+      }
+    `);
+
+    const pressureShader = this.compileFragmentShader(`
+      precision highp float;
+      precision mediump sampler2D;
+      varying vec2 vUv;
+      varying vec2 vL;
+      varying vec2 vR;
+      varying vec2 vT;
+      varying vec2 vB;
+      uniform sampler2D uPressure;
+      uniform sampler2D uDivergence;
+      ${obstacleSource}
+      vec2 boundary (in vec2 uv) {
+          uv = min(max(uv, 0.0), 1.0);
+          return uv;
+      }
+      void main () {
+          float L = readField(uPressure, boundary(vL), PRESSURE_RANGE).x;
+          float R = readField(uPressure, boundary(vR), PRESSURE_RANGE).x;
+          float T = readField(uPressure, boundary(vT), PRESSURE_RANGE).x;
+          float B = readField(uPressure, boundary(vB), PRESSURE_RANGE).x;
+          float C = readField(uPressure, vUv, PRESSURE_RANGE).x;
+          // No flow into obstacles: their pressure mirrors this cell's
+          if (solid(vL)) L = C;
+          if (solid(vR)) R = C;
+          if (solid(vT)) T = C;
+          if (solid(vB)) B = C;
+          float divergence = readField(uDivergence, vUv, PRESSURE_RANGE).x;
+          float pressure = (L + R + B + T - divergence) * 0.25;
+          gl_FragColor = writeField(vec4(pressure, 0.0, 0.0, 1.0), PRESSURE_RANGE);
+      }
+    `);
+
+    const gradientSubtractShader = this.compileFragmentShader(`
+      precision highp float;
+      precision mediump sampler2D;
+      varying vec2 vUv;
+      varying vec2 vL;
+      varying vec2 vR;
+      varying vec2 vT;
+      varying vec2 vB;
+      uniform sampler2D uPressure;
+      uniform sampler2D uVelocity;
+      ${obstacleSource}
+      vec2 boundary (in vec2 uv) {
+          uv = min(max(uv, 0.0), 1.0);
+          return uv;
+      }
+      void main () {
+          float L = readField(uPressure, boundary(vL), PRESSURE_RANGE).x;
+          float R = readField(uPressure, boundary(vR), PRESSURE_RANGE).x;
+          float T = readField(uPressure, boundary(vT), PRESSURE_RANGE).x;
+          float B = readField(uPressure, boundary(vB), PRESSURE_RANGE).x;
+          float C = readField(uPressure, vUv, PRESSURE_RANGE).x;
+          if (solid(vL)) L = C;
+          if (solid(vR)) R = C;
+          if (solid(vT)) T = C;
+          if (solid(vB)) B = C;
+          vec2 velocity = readField(uVelocity, vUv, VELOCITY_RANGE).xy;
+          velocity.xy -= vec2(R - L, T - B);
+          // Nothing moves inside an obstacle or across its edges
+          if (solid(vL) || solid(vR)) velocity.x = 0.0;
+          if (solid(vT) || solid(vB)) velocity.y = 0.0;
+          if (solid(vUv)) velocity = vec2(0.0);
+          gl_FragColor = writeField(vec4(velocity, 0.0, 1.0), VELOCITY_RANGE);
+      }
+    `);
+
+    // Same mask as the display pass, box-filtered over each output texel
+    const reduceShader = this.compileFragmentShader(`
+      precision highp float;
+      precision mediump sampler2D;
+      varying vec2 vUv;
+      uniform sampler2D uTexture;
+      uniform vec2 texelSize;
+      void main () {
+          float sum = 0.0;
+          for (int x = 0; x < 4; x++) {
+              for (int y = 0; y < 4; y++) {
+                  vec2 offset = (vec2(float(x), float(y)) - 1.5) * 0.25 * texelSize;
+                  sum += smoothstep(0.0, 0.1, readField(uTexture, vUv + offset, DENSITY_RANGE).r);
+              }
+          }
+          gl_FragColor = vec4(sum / 16.0, 0.0, 0.0, 1.0);
+      }
+    `);
+
+    // Obstacle mask from an image or layer, fitted like a layer
+    const obstacleShader = this.compileFragmentShader(`
+      precision highp float;
+      precision mediump sampler2D;
+      varying vec2 vUv;
+      uniform sampler2D uTexture;
+      uniform vec4 transform;
+      // Zero when there are no obstacles
+      uniform vec4 channel;
+      uniform float invert;
+      void main () {
+          vec2 st = transform.zw + vec2(vUv.x, 1.0 - vUv.y) * transform.xy;
+          float value = 0.0;
+          // The letterbox area of a 'contain' fit stays open
+          if (st.x >= 0.0 && st.x <= 1.0 && st.y >= 0.0 && st.y <= 1.0)
+              value = abs(invert - dot(texture2D(uTexture, st), channel));
+          gl_FragColor = vec4(step(0.5, value), 0.0, 0.0, 1.0);
+      }
+    `);
+
+    // Create programs
+    programs.clear = new GLProgram(gl, baseVertexShader, clearShader);
+    programs.splat = new GLProgram(gl, baseVertexShader, splatShader);
+    programs.advection = new GLProgram(gl, baseVertexShader, advectionShader);
+    programs.divergence = new GLProgram(gl, baseVertexShader, divergenceShader);
+    programs.curl = new GLProgram(gl, baseVertexShader, curlShader);
+    programs.forces = new GLProgram(gl, baseVertexShader, forcesShader);
+    programs.vorticity = new GLProgram(gl, baseVertexShader, vorticityShader);
+    programs.pressure = new GLProgram(gl, baseVertexShader, pressureShader);
+    programs.gradientSubtract = new GLProgram(gl, baseVertexShader, gradientSubtractShader);
+    programs.reduce = new GLProgram(gl, baseVertexShader, reduceShader);
+    programs.obstacle = new GLProgram(gl, baseVertexShader, obstacleShader);
+    this.baseVertexShader = baseVertexShader;
+
+    // Setup blit
+    this.vertexBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.vertexBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, -1, 1, 1, 1, 1, -1]), gl.STATIC_DRAW);
+    this.indexBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.indexBuffer);
+    gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, new Uint16Array([0, 1, 2, 0, 2, 3]), gl.STATIC_DRAW);
+    gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0);
+    gl.enableVertexAttribArray(0);
+
+    this.blit = (destination) => {
+      gl.bindFramebuffer(gl.FRAMEBUFFER, destination);
+      gl.drawElements(gl.TRIANGLES, 6, gl.UNSIGNED_SHORT, 0);
+    };
+
+    // Stands in for layers without an image (clear on a transparent canvas,
+    // black on an opaque one) and for the brush when none is in use
+    gl.activeTexture(gl.TEXTURE0 + LAYER_TEXTURE_UNIT);
+    this.emptyTexture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, this.emptyTexture);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 1, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE, new Uint8Array(4));
+
+    // Initialize framebuffers
+    this.initFramebuffers();
+    this.progressTarget = createFBO(gl, LAYER_TEXTURE_UNIT, PROGRESS_SIZE, PROGRESS_SIZE, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, gl.NEAREST);
+  }
+
+  // Compiles the display pass around the COMPOSITE stage. If that fails, the
+  // previous program stays in use.
+  buildDisplayProgram() {
+    const gl = this.gl;
+    const source = displayShaderSource(resolveComposite(this.config.COMPOSITE), this.depthLayers.length);
+    let program;
+    try {
+      const shader = this.compileFragmentShader(source);
+      program = new GLProgram(gl, this.baseVertexShader, shader);
+      gl.deleteShader(shader);
+    } catch (error) {
+      throw new Error(`Failed to build the composite stage: ${error.message || error}`);
+    }
+    if (this.programs.display) gl.deleteProgram(this.programs.display.program);
+    this.programs.display = program;
+  }
+
+  // Fragment shaders get the field helpers prepended, and fall back to mediump
+  // where highp is not available.
+  compileFragmentShader(source) {
+    const gl = this.gl;
+    let full = fieldPrelude(this.ext.encoded) + source;
+    if (!this.ext.highp)
+      full = full.replace(/precision highp float/g, 'precision mediump float');
+    return compileShader(gl, gl.FRAGMENT_SHADER, full);
+  }
+
+  // (Re)allocates the simulation targets at the current drawing-buffer size.
+  // When targets already exist, the persistent fields are resampled into the
+  // new ones so a resize keeps whatever has been revealed so far.
+  initFramebuffers() {
+    const gl = this.gl;
+    const ext = this.ext;
+    const previous = this.density ? {
+      density: this.density,
+      velocity: this.velocity,
+      pressure: this.pressure,
+      divergence: this.divergence,
+      curl: this.curl
+    } : null;
+    this.textureDownsample = this.downsample();
+    this.textureWidth = gl.drawingBufferWidth >> this.textureDownsample;
+    this.textureHeight = gl.drawingBufferHeight >> this.textureDownsample;
+    const w = this.textureWidth;
+    const h = this.textureHeight;
+    const texType = ext.texType;
+    const rgba = ext.formatRGBA;
+    const rg = ext.formatRG;
+    const r = ext.formatR;
+    const filtering = ext.supportLinearFiltering ? gl.LINEAR : gl.NEAREST;
+    this.density = createDoubleFBO(gl, 2, w, h, rgba.internalFormat, rgba.format, texType, filtering);
+    this.velocity = createDoubleFBO(gl, 0, w, h, rg.internalFormat, rg.format, texType, filtering);
+    this.divergence = createFBO(gl, 4, w, h, r.internalFormat, r.format, texType, gl.NEAREST);
+    this.curl = createFBO(gl, 5, w, h, r.internalFormat, r.format, texType, gl.NEAREST);
+    this.pressure = createDoubleFBO(gl, 6, w, h, r.internalFormat, r.format, texType, gl.NEAREST);
+    if (this.obstacleTarget) deleteFBO(gl, this.obstacleTarget);
+    this.obstacleTarget = createFBO(gl, LAYER_TEXTURE_UNIT, w, h, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, gl.NEAREST);
+    this.drawObstacles();
+
+    if (previous) {
+      this.resampleFBO(previous.density.read, this.density.read, FIELD_RANGES.density);
+      this.resampleFBO(previous.velocity.read, this.velocity.read, FIELD_RANGES.velocity);
+      this.resampleFBO(previous.pressure.read, this.pressure.read, FIELD_RANGES.pressure);
+      deleteDoubleFBO(gl, previous.density);
+      deleteDoubleFBO(gl, previous.velocity);
+      deleteDoubleFBO(gl, previous.pressure);
+      deleteFBO(gl, previous.divergence);
+      deleteFBO(gl, previous.curl);
+    }
+  }
+
+  // Stretches `source` over `target` with the clear program at full strength.
+  // The source is sampled from the layer unit, which the display pass rebinds
+  // every frame anyway, so the simulation units keep their own textures.
+  resampleFBO(source, target, range) {
+    const gl = this.gl;
+    const program = this.programs.clear;
+    program.bind();
+    gl.viewport(0, 0, this.textureWidth, this.textureHeight);
+    gl.activeTexture(gl.TEXTURE0 + LAYER_TEXTURE_UNIT);
+    gl.bindTexture(gl.TEXTURE_2D, source[0]);
+    gl.uniform1i(program.uniforms.uTexture, LAYER_TEXTURE_UNIT);
+    gl.uniform1f(program.uniforms.value, 1.0);
+    gl.uniform1f(program.uniforms.range, range);
+    this.blit(target[1]);
+  }
+
+  deleteFramebuffers() {
+    const gl = this.gl;
+    if (!this.density) return;
+    deleteDoubleFBO(gl, this.density);
+    deleteDoubleFBO(gl, this.velocity);
+    deleteFBO(gl, this.divergence);
+    deleteFBO(gl, this.curl);
+    deleteDoubleFBO(gl, this.pressure);
+    deleteFBO(gl, this.obstacleTarget);
+    this.density = this.velocity = this.divergence = this.curl = this.pressure = null;
+    this.obstacleTarget = null;
+  }
+
+  // Missing images get a placeholder, except on a transparent canvas, where an
+  // empty layer shows the page behind it.
+  loadImages(topSrc, bottomSrc) {
+    const load = (name, src) => {
+      if (!src && this.config.TRANSPARENT) return null;
+      const placeholder = () => createPlaceholderImage(name === 'top');
+      return this.setLayerImage(name, src || placeholder()).catch(() => {
+        console.warn(`Failed to load ${src}, using placeholder`);
+        return this.setLayerImage(name, placeholder());
+      });
+    };
+    return Promise.all([load('top', topSrc), load('bottom', bottomSrc)]);
+  }
+
+  // One frame: resize, step the fluid, draw, then either request the next
+  // frame or go idle once the fluid has settled.
+  update() {
+    this.frameId = null;
+    // Drawing starts once the initial images are in. Layers left empty, e.g.
+    // on a transparent canvas, are drawn with emptyTexture
+    if (!this.canRender() || !this.layersLoaded) return;
+
+    this.resizeCanvas();
+    const frameStart = performance.now();
+    const settled = this.step(this.advanceClock());
+    // Quality follows real frame times even when the clock is simulated
+    this.adaptQuality(frameStart);
+    this.previousFrame = settled ? null : frameStart;
+    if (settled) this.idle = true;
+    else this.schedule();
+  }
+
+  // Advances the fluid by `steps` TIMESTEP steps, draws it and returns whether
+  // it has settled. The clock must already have moved on.
+  step(steps) {
+    const gl = this.gl;
+    const config = this.config;
+    const { top, bottom } = this.layers;
+    if (!this.initialized) {
+      this.initialized = true;
+      if (config.INITIAL_SPLATS)
+        this.multipleSplats(Math.floor(this.random() * 20) + 5);
+    }
+    const now = this.now();
+    gl.viewport(0, 0, this.textureWidth, this.textureHeight);
+
+    if (this.gpuTimer) this.gpuTimer.begin();
+    if (this.reducedMotion) {
+      // Input goes straight into the density without moving it
+      this.applyInputs(now);
+    } else {
+      // Input lands in the first step of a frame and waits while a frame on a
+      // fast display takes no step at all
+      for (let i = 0; i < steps; i++) {
+        this.advect(config.TIMESTEP);
+        if (i === 0) this.applyInputs(now);
+        if (this.hasAmbientForces() || (i === 0 && this.scrollImpulse.some(Boolean)))
+          this.applyForces(config.TIMESTEP, now + i * config.TIMESTEP * 1000);
+        this.project(config.TIMESTEP);
+      }
+    }
+    this.render(now);
+    if (this.gpuTimer) this.gpuTimer.end();
+
+    const busy = this.paths.size > 0 || this.replays.size > 0 || this.keys.size > 0 || this.revealAnimation || this.pendingResize ||
+      top.previousTexture || bottom.previousTexture || (!this.reducedMotion && this.hasAmbientForces()) ||
+      this.hasLiveFrames();
+    if (busy) this.quietSteps = 0;
+    else this.quietSteps += this.reducedMotion ? 1 : steps;
+    const settled = this.settled();
+    this.measureProgress(now, settled);
+    return settled;
+  }
+
+  advect(dt) {
+    const gl = this.gl;
+    const program = this.programs.advection;
+    const config = this.config;
+    const { density, velocity } = this;
+    program.bind();
+    gl.uniform2f(program.uniforms.texelSize, 1.0 / this.textureWidth, 1.0 / this.textureHeight);
+    gl.uniform1i(program.uniforms.uVelocity, velocity.read[2]);
+    gl.uniform1i(program.uniforms.uSource, velocity.read[2]);
+    gl.uniform1f(program.uniforms.dt, dt);
+    gl.uniform1f(program.uniforms.dissipation, config.VELOCITY_DISSIPATION);
+    gl.uniform1f(program.uniforms.range, FIELD_RANGES.velocity);
+    this.bindObstacles(program);
+    this.blit(velocity.write[1]);
+    velocity.swap();
+
+    gl.uniform1i(program.uniforms.uVelocity, velocity.read[2]);
+    gl.uniform1i(program.uniforms.uSource, density.read[2]);
+    // Persistent mode keeps scratched areas revealed
+    gl.uniform1f(program.uniforms.dissipation, config.PERSISTENT ? 1.0 : config.DENSITY_DISSIPATION);
+    gl.uniform1f(program.uniforms.range, FIELD_RANGES.density);
+    this.blit(density.write[1]);
+    density.swap();
+  }
+
+  applyInputs(now) {
+    this.advanceReplays(this.stepCount);
+    // Pointer splats use ten times the per-event pixel delta, i.e. a sixth of
+    // the pixel velocity at 60 events a second; queued splats match that.
+    while (this.splatStack.length > 0) {
+      const queued = this.splatStack.shift();
+      const strength = queued.strength;
+      this.drawSplat(
+        queued.x * this.canvas.width, queued.y * this.canvas.height,
+        queued.dx * this.canvas.width / 6, queued.dy * this.canvas.height / 6,
+        [strength, strength, strength], queued.radius);
+    }
+    this.advancePaths(now);
+    this.advanceKeyboard(now);
+
+    for (const pointer of this.pointers.values()) {
+      if (pointer.moved) {
+        this.splatPointer(pointer);
+        pointer.moved = false;
+      }
+    }
+  }
+
+  // Ambient forces (see the forces shader), run before the vorticity pass.
+  // The scroll impulse gathered since the previous frame goes into one step.
+  applyForces(dt, now) {
+    const gl = this.gl;
+    const program = this.programs.forces;
+    const config = this.config;
+    const { density, velocity } = this;
+    const tilt = this.tilt || [0, 0];
+    const attractors = new Float32Array(MAX_ATTRACTORS * 4);
+    let i = 0;
+    for (const attractor of this.attractors) {
+      attractors.set([attractor.x, 1.0 - attractor.y, attractor.strength, attractor.radius || 1], i);
+      i += 4;
+    }
+    for (; i < attractors.length; i += 4)
+      attractors[i + 3] = 1;
+
+    program.bind();
+    gl.uniform1i(program.uniforms.uVelocity, velocity.read[2]);
+    gl.uniform1i(program.uniforms.uDensity, density.read[2]);
+    gl.uniform1f(program.uniforms.aspectRatio, this.canvas.width / this.canvas.height);
+    gl.uniform1f(program.uniforms.dt, dt);
+    gl.uniform2f(program.uniforms.force,
+      config.WIND[0] + tilt[0] * config.ORIENTATION_FORCE, config.WIND[1] + tilt[1] * config.ORIENTATION_FORCE);
+    gl.uniform2f(program.uniforms.impulse,
+      this.scrollImpulse[0] * config.SCROLL_FORCE, -this.scrollImpulse[1] * config.SCROLL_FORCE);
+    gl.uniform4fv(program.uniforms['attractors[0]'], attractors);
+    gl.uniform1f(program.uniforms.turbulence, config.TURBULENCE);
+    gl.uniform1f(program.uniforms.noiseScale, config.TURBULENCE_SCALE);
+    // Wrapped on this side, where there is precision to spare
+    gl.uniform1f(program.uniforms.phase, (now / 1000 * config.TURBULENCE_SPEED / 8) % (2 * Math.PI));
+    this.blit(velocity.write[1]);
+    velocity.swap();
+
+    if (this.scrollImpulse.some(Boolean)) this.quietSteps = 0;
+    this.scrollImpulse = [0, 0];
+  }
+
+  // Whether anything pushes the fluid without input, which keeps the loop
+  // from going idle.
+  hasAmbientForces() {
+    const config = this.config;
+    return config.TURBULENCE !== 0 || config.WIND[0] !== 0 || config.WIND[1] !== 0 || this.attractors.size > 0 ||
+      (config.ORIENTATION_FORCE !== 0 && this.tilt !== null);
+  }
+
+  // Adds a point that pulls the revealed fluid towards it, or pushes it away
+  // with a negative `strength`. `x` and `y` are fractions of the canvas from
+  // its top-left corner and `radius` a fraction of its height. Returns
+  // { update(options), remove() }.
+  addAttractor({ x = 0.5, y = 0.5, strength = 500, radius = 0.2 } = {}) {
+    if (this.attractors.size >= MAX_ATTRACTORS)
+      throw new Error(`At most ${MAX_ATTRACTORS} attractors are supported`);
+    const attractor = { x, y, strength, radius };
+    this.attractors.add(attractor);
+    this.wake();
+    return {
+      update: options => {
+        Object.assign(attractor, options);
+        this.wake();
+      },
+      remove: () => {
+        this.attractors.delete(attractor);
+        this.wake();
+      }
+    };
+  }
+
+  // iOS only delivers deviceorientation events once the user has allowed
+  // them, which has to be asked from a click or tap. Resolves to whether
+  // events can arrive.
+  requestDeviceOrientation() {
+    if (typeof DeviceOrientationEvent === 'undefined') return Promise.resolve(false);
+    if (typeof DeviceOrientationEvent.requestPermission !== 'function') return Promise.resolve(true);
+    return DeviceOrientationEvent.requestPermission().then(state => state === 'granted');
+  }
+
+  // Vorticity confinement followed by the pressure projection that keeps the
+  // velocity field divergence-free.
+  project(dt) {
+    const gl = this.gl;
+    const programs = this.programs;
+    const config = this.config;
+    const blit = this.blit;
+    const textureWidth = this.textureWidth;
+    const textureHeight = this.textureHeight;
+    const { velocity, divergence, curl, pressure } = this;
+
+    programs.curl.bind();
+    gl.uniform2f(programs.curl.uniforms.texelSize, 1.0 / textureWidth, 1.0 / textureHeight);
+    gl.uniform1i(programs.curl.uniforms.uVelocity, velocity.read[2]);
+    blit(curl[1]);
+
+    programs.vorticity.bind();
+    gl.uniform2f(programs.vorticity.uniforms.texelSize, 1.0 / textureWidth, 1.0 / textureHeight);
+    gl.uniform1i(programs.vorticity.uniforms.uVelocity, velocity.read[2]);
+    gl.uniform1i(programs.vorticity.uniforms.uCurl, curl[2]);
+    gl.uniform1f(programs.vorticity.uniforms.curl, config.CURL);
+    gl.uniform1f(programs.vorticity.uniforms.dt, dt);
+    blit(velocity.write[1]);
+    velocity.swap();
+
+    programs.divergence.bind();
+    gl.uniform2f(programs.divergence.uniforms.texelSize, 1.0 / textureWidth, 1.0 / textureHeight);
+    gl.uniform1i(programs.divergence.uniforms.uVelocity, velocity.read[2]);
+    this.bindObstacles(programs.divergence);
+    blit(divergence[1]);
+
+    programs.clear.bind();
+    let pressureTexId = pressure.read[2];
+    gl.activeTexture(gl.TEXTURE0 + pressureTexId);
     gl.bindTexture(gl.TEXTURE_2D, pressure.read[0]);
+    gl.uniform1i(programs.clear.uniforms.uTexture, pressureTexId);
+    gl.uniform1f(programs.clear.uniforms.value, config.PRESSURE_DISSIPATION);
+    gl.uniform1f(programs.clear.uniforms.range, FIELD_RANGES.pressure);
     blit(pressure.write[1]);
     pressure.swap();
+
+    programs.pressure.bind();
+    gl.uniform2f(programs.pressure.uniforms.texelSize, 1.0 / textureWidth, 1.0 / textureHeight);
+    gl.uniform1i(programs.pressure.uniforms.uDivergence, divergence[2]);
+    this.bindObstacles(programs.pressure);
+    pressureTexId = pressure.read[2];
+    gl.uniform1i(programs.pressure.uniforms.uPressure, pressureTexId);
+    gl.activeTexture(gl.TEXTURE0 + pressureTexId);
+    const iterations = this.simulationSettings().pressureIterations;
+    for (let i = 0; i < iterations; i++) {
+      gl.bindTexture(gl.TEXTURE_2D, pressure.read[0]);
+      blit(pressure.write[1]);
+      pressure.swap();
+    }
+
+    programs.gradientSubtract.bind();
+    gl.uniform2f(programs.gradientSubtract.uniforms.texelSize, 1.0 / textureWidth, 1.0 / textureHeight);
+    gl.uniform1i(programs.gradientSubtract.uniforms.uPressure, pressure.read[2]);
+    gl.uniform1i(programs.gradientSubtract.uniforms.uVelocity, velocity.read[2]);
+    this.bindObstacles(programs.gradientSubtract);
+    blit(velocity.write[1]);
+    velocity.swap();
   }
 
-  programs.gradientSubtract.bind();
-  gl.uniform2f(programs.gradientSubtract.uniforms.texelSize, 1.0 / textureWidth, 1.0 / textureHeight);
-  gl.uniform1i(programs.gradientSubtract.uniforms.uPressure, pressure.read[2]);
-  gl.uniform1i(programs.gradientSubtract.uniforms.uVelocity, velocity.read[2]);
-  blit(velocity.write[1]);
-  velocity.swap();
-
-  gl.viewport(0, 0, gl.drawingBufferWidth, gl.drawingBufferHeight);
-  programs.display.bind();
-  gl.uniform1i(programs.display.uniforms.uTexture, density.read[2]);
-  gl.uniform1i(programs.display.uniforms.uTopTexture, 7);
-  gl.uniform1i(programs.display.uniforms.uBottomTexture, 8);
-  gl.activeTexture(gl.TEXTURE7);
-  gl.bindTexture(gl.TEXTURE_2D, window.topTexture);
-  gl.activeTexture(gl.TEXTURE8);
-  gl.bindTexture(gl.TEXTURE_2D, window.bottomTexture);
-  blit(null);
-  requestAnimationFrame(update);
-}
+  render(now) {
+    const gl = this.gl;
+    const program = this.programs.display;
+    const config = this.config;
+    const { top, bottom } = this.layers;
+    gl.viewport(0, 0, gl.drawingBufferWidth, gl.drawingBufferHeight);
+    program.bind();
+    gl.uniform2f(program.uniforms.texelSize, 1.0 / this.textureWidth, 1.0 / this.textureHeight);
+    gl.uniform1i(program.uniforms.uTexture, this.density.read[2]);
+    gl.uniform1i(program.uniforms.uVelocity, this.velocity.read[2]);
+    gl.uniform1f(program.uniforms.uTime, (now - this.startTime) / 1000);
+    gl.uniform1f(program.uniforms.uStrength, config.COMPOSITE_STRENGTH);
+    gl.uniform3fv(program.uniforms.uTint, config.COMPOSITE_TINT);
+    gl.uniform4f(program.uniforms.uLetterbox, 0, 0, 0, config.TRANSPARENT ? 0 : 1);
+    // Left out of renderFrames() output
+    gl.uniform1f(program.uniforms.uFocus, this.focusVisible && !this.offline ? 1 : 0);
+    gl.uniform3fv(program.uniforms.uFocusColor, config.FOCUS_COLOR);
+    gl.uniform2f(program.uniforms.uFocusPointer, this.keyboard.x, 1 - this.keyboard.y);
+    gl.uniform1f(program.uniforms.uFocusWidth, FOCUS_WIDTH * this.pixelRatio());
+    gl.uniform2f(program.uniforms.uResolution, gl.drawingBufferWidth, gl.drawingBufferHeight);
+    this.advanceReveal(now);
+    gl.uniform1f(program.uniforms.uReveal, this.revealAmount);
+    this.refreshLiveLayers();
+    gl.uniform1f(program.uniforms.uTopFade, this.layerFade(top, now));
+    gl.uniform1f(program.uniforms.uBottomFade, this.layerFade(bottom, now));
+    gl.uniform4fv(program.uniforms.uTopTransform, top.uvTransform);
+    gl.uniform4fv(program.uniforms.uPreviousTopTransform, top.previousTexture ? top.previousUvTransform : top.uvTransform);
+    gl.uniform4fv(program.uniforms.uBottomTransform, bottom.uvTransform);
+    gl.uniform4fv(program.uniforms.uPreviousBottomTransform, bottom.previousTexture ? bottom.previousUvTransform : bottom.uvTransform);
+    const layerTextures = [
+      ['uTopTexture', top.texture || this.emptyTexture],
+      ['uPreviousTopTexture', top.previousTexture || top.texture || this.emptyTexture],
+      ['uBottomTexture', bottom.texture || this.emptyTexture],
+      ['uPreviousBottomTexture', bottom.previousTexture || bottom.texture || this.emptyTexture]
+    ];
+    layerTextures.forEach(([uniform, texture], i) => {
+      gl.uniform1i(program.uniforms[uniform], LAYER_TEXTURE_UNIT + i);
+      gl.activeTexture(gl.TEXTURE0 + LAYER_TEXTURE_UNIT + i);
+      gl.bindTexture(gl.TEXTURE_2D, texture);
+    });
+    this.depthLayers.forEach((layer, i) => {
+      gl.uniform1i(program.uniforms[`uDepthTexture${i}`], DEPTH_TEXTURE_UNIT + i);
+      gl.uniform4fv(program.uniforms[`uDepthTransform${i}`], layer.uvTransform);
+      gl.uniform1f(program.uniforms[`uDepthThreshold${i}`], layer.threshold);
+      gl.activeTexture(gl.TEXTURE0 + DEPTH_TEXTURE_UNIT + i);
+      gl.bindTexture(gl.TEXTURE_2D, layer.texture);
+    });
+    this.blit(null);
+  }
 
-function splat(x, y, dx, dy, color) {
-  programs.splat.bind();
-  gl.uniform1i(programs.splat.uniforms.uTarget, velocity.read[2]);
-  gl.uniform1f(programs.splat.uniforms.aspectRatio, canvas.width / canvas.height);
-  gl.uniform2f(programs.splat.uniforms.point, x / canvas.width, 1.0 - y / canvas.height);
-  gl.uniform3f(programs.splat.uniforms.color, dx, -dy, 1.0);
-  gl.uniform1f(programs.splat.uniforms.radius, config.SPLAT_RADIUS);
-  blit(velocity.write[1]);
-  velocity.swap();
-  gl.uniform1i(programs.splat.uniforms.uTarget, density.read[2]);
-  gl.uniform3f(programs.splat.uniforms.color, color[0] * 0.3, color[1] * 0.3, color[2] * 0.3);
-  blit(density.write[1]);
-  density.swap();
-}
+  // Splats along the segment from the pointer's previous splat to where it is
+  // now, spaced BRUSH_SPACING brush sizes apart, so fast moves leave a
+  // continuous stroke. The injected velocity is shared between the splats.
+  splatPointer(pointer) {
+    const config = this.config;
+    const color = pointer.color.map(c => c * pointer.strength);
+    const radius = config.SPLAT_RADIUS * pointer.radius;
+    const fromX = pointer.lastX;
+    const fromY = pointer.lastY;
+    const distance = Math.hypot(pointer.x - fromX, pointer.y - fromY);
+    const spacing = config.BRUSH_SPACING * Math.sqrt(radius) * this.canvas.height;
+    const count = spacing > 0 ? Math.min(Math.max(Math.ceil(distance / spacing), 1), MAX_INTERPOLATED_SPLATS) : 1;
+    for (let i = 1; i <= count; i++) {
+      const t = i / count;
+      this.drawSplat(fromX + (pointer.x - fromX) * t, fromY + (pointer.y - fromY) * t, pointer.dx, pointer.dy, color, radius, 1 / count);
+    }
+    pointer.lastX = pointer.x;
+    pointer.lastY = pointer.y;
+  }
 
-function multipleSplats(amount) {
-  for (let i = 0; i < amount; i++) {
-    const color = [Math.random() * 10, Math.random() * 10, Math.random() * 10];
-    const x = canvas.width * Math.random();
-    const y = canvas.height * Math.random();
-    const dx = 1000 * (Math.random() - 0.5);
-    const dy = 1000 * (Math.random() - 0.5);
-    splat(x, y, dx, dy, color);
+  setBrushImage(source) {
+    const requestId = ++this.brushRequestId;
+    return loadImageSource(source).then(({ image, owned }) => {
+      if (requestId !== this.brushRequestId || this.destroyed) {
+        if (owned) closeImageSource(image);
+        return;
+      }
+      if (this.brushOwned) closeImageSource(this.brushImage);
+      this.gl.deleteTexture(this.brushTexture);
+      this.brushImage = image;
+      this.brushOwned = owned;
+      this.brushTexture = createImageTexture(this.gl, image);
+    });
   }
-}
 
-function setupEventListeners() {
-  // Always create splats on mouse move (no need to click)
-  canvas.addEventListener('mousemove', e => {
-    const rect = canvas.getBoundingClientRect();
-    const x = e.clientX - rect.left;
-    const y = e.clientY - rect.top;
-    
-    // Calculate velocity from previous position
-    pointers[0].dx = (x - pointers[0].x) * 10.0;
-    pointers[0].dy = (y - pointers[0].y) * 10.0;
-    pointers[0].x = x;
-    pointers[0].y = y;
-    
-    // Always create splat on hover (don't require mouse down)
-    pointers[0].moved = true;
-    pointers[0].down = true; // Keep down true for continuous effect
-    if (!pointers[0].color || pointers[0].color[0] === 30) {
-      pointers[0].color = [Math.random() + 0.2, Math.random() + 0.2, Math.random() + 0.2];
+  // Marks solid regions the fluid flows around and never enters. `source` is
+  // 'top' or 'bottom' to derive the mask from that layer, any image source
+  // (see setLayerImage), or null to remove the obstacles. Texels whose
+  // `channel` ('alpha' or 'luminance') is over one half are solid, or under
+  // it with `invert`. Images are placed with `fit` and `objectPosition` like
+  // layers; layer masks follow their layer's.
+  setObstacles(source, { channel = 'alpha', invert = false, fit = 'cover', objectPosition = '50% 50%' } = {}) {
+    if (!OBSTACLE_CHANNELS[channel])
+      throw new Error(`Unknown obstacle channel '${channel}', expected 'alpha' or 'luminance'`);
+    checkFit(fit);
+    const requestId = ++this.obstacleRequestId;
+    const settings = { channel, invert, fit, objectPosition: parseObjectPosition(objectPosition) };
+    if (!source || this.layers[source]) {
+      this.releaseObstacles();
+      this.obstacles = source ? Object.assign({ layer: source }, settings) : null;
+      this.drawObstacles();
+      this.wake();
+      return Promise.resolve();
     }
-  });
+    return loadImageSource(source).then(({ image, owned }) => {
+      if (requestId !== this.obstacleRequestId || this.destroyed) {
+        if (owned) closeImageSource(image);
+        return;
+      }
+      this.releaseObstacles();
+      this.obstacles = Object.assign({
+        image,
+        owned,
+        size: getSourceSize(image),
+        texture: createImageTexture(this.gl, image)
+      }, settings);
+      this.drawObstacles();
+      this.wake();
+    });
+  }
+
+  releaseObstacles() {
+    const obstacles = this.obstacles;
+    if (!obstacles) return;
+    if (obstacles.texture) this.gl.deleteTexture(obstacles.texture);
+    if (obstacles.owned) closeImageSource(obstacles.image);
+    this.obstacles = null;
+  }
+
+  // Renders the mask at simulation resolution into obstacleTarget; without
+  // obstacles it is left all open.
+  drawObstacles() {
+    const gl = this.gl;
+    const program = this.programs.obstacle;
+    const obstacles = this.obstacles;
+    if (!this.obstacleTarget || !program) return;
+    const layer = obstacles && obstacles.layer ? this.layers[obstacles.layer] : null;
+    const texture = layer ? layer.texture : obstacles && obstacles.texture;
+    let transform = [1, 1, 0, 0];
+    if (layer) {
+      transform = layer.uvTransform;
+    } else if (texture) {
+      transform = computeFitTransform(obstacles.fit, obstacles.objectPosition, obstacles.size[0], obstacles.size[1],
+        gl.drawingBufferWidth, gl.drawingBufferHeight);
+    }
+    program.bind();
+    gl.viewport(0, 0, this.textureWidth, this.textureHeight);
+    gl.activeTexture(gl.TEXTURE0 + LAYER_TEXTURE_UNIT);
+    gl.bindTexture(gl.TEXTURE_2D, texture || null);
+    gl.uniform1i(program.uniforms.uTexture, LAYER_TEXTURE_UNIT);
+    gl.uniform4fv(program.uniforms.transform, transform);
+    gl.uniform4fv(program.uniforms.channel, texture ? OBSTACLE_CHANNELS[obstacles.channel] : [0, 0, 0, 0]);
+    gl.uniform1f(program.uniforms.invert, texture && obstacles.invert ? 1.0 : 0.0);
+    this.blit(this.obstacleTarget[1]);
+  }
+
+  // Solver passes read the mask from the layer unit, which the display pass
+  // rebinds every frame anyway.
+  bindObstacles(program) {
+    const gl = this.gl;
+    gl.activeTexture(gl.TEXTURE0 + LAYER_TEXTURE_UNIT);
+    gl.bindTexture(gl.TEXTURE_2D, this.obstacleTarget[0]);
+    gl.uniform1i(program.uniforms.uObstacles, LAYER_TEXTURE_UNIT);
+  }
+
+  // `velocityShare` scales the injected velocity when one move is split into
+  // several splats; the brush is still oriented and stretched by the full one.
+  drawSplat(x, y, dx, dy, color, radius = this.config.SPLAT_RADIUS, velocityShare = 1) {
+    const gl = this.gl;
+    const canvas = this.canvas;
+    const config = this.config;
+    const program = this.programs.splat;
+    program.bind();
+    this.quietSteps = 0;
+
+    let brush = BRUSH_TYPES[config.BRUSH] || 0;
+    if (brush === BRUSH_TYPES.texture && !this.brushTexture) brush = BRUSH_TYPES.gaussian;
+    const speed = Math.hypot(dx, dy);
+    gl.uniform1i(program.uniforms.brush, brush);
+    gl.uniform2f(program.uniforms.direction, speed > 0 ? dx / speed : 1, speed > 0 ? -dy / speed : 0);
+    gl.uniform1f(program.uniforms.stretch, 1 + Math.min(speed * config.BRUSH_STRETCH, MAX_BRUSH_STRETCH - 1));
+    // The obstacle mask has the layer unit, so the brush takes the next one.
+    // Bound even when unused: left on unit 0 the sampler would read the
+    // velocity texture the splat writes to, a feedback loop WebGL rejects.
+    gl.activeTexture(gl.TEXTURE0 + LAYER_TEXTURE_UNIT + 1);
+    gl.bindTexture(gl.TEXTURE_2D, brush === BRUSH_TYPES.texture ? this.brushTexture : this.emptyTexture);
+    gl.uniform1i(program.uniforms.uBrush, LAYER_TEXTURE_UNIT + 1);
+    this.bindObstacles(program);
+
+    gl.uniform1i(program.uniforms.uTarget, this.velocity.read[2]);
+    gl.uniform1f(program.uniforms.aspectRatio, canvas.width / canvas.height);
+    gl.uniform2f(program.uniforms.point, x / canvas.width, 1.0 - y / canvas.height);
+    gl.uniform3f(program.uniforms.color, dx * velocityShare, -dy * velocityShare, 1.0);
+    gl.uniform1f(program.uniforms.radius, radius);
+    gl.uniform1f(program.uniforms.range, FIELD_RANGES.velocity);
+    this.blit(this.velocity.write[1]);
+    this.velocity.swap();
+    gl.uniform1i(program.uniforms.uTarget, this.density.read[2]);
+    gl.uniform3f(program.uniforms.color, color[0] * 0.3, color[1] * 0.3, color[2] * 0.3);
+    gl.uniform1f(program.uniforms.range, FIELD_RANGES.density);
+    this.blit(this.density.write[1]);
+    this.density.swap();
+  }
+
+  multipleSplats(amount) {
+    const canvas = this.canvas;
+    for (let i = 0; i < amount; i++) {
+      const color = [this.random() * 10, this.random() * 10, this.random() * 10];
+      const x = canvas.width * this.random();
+      const y = canvas.height * this.random();
+      const dx = 1000 * (this.random() - 0.5);
+      const dy = 1000 * (this.random() - 0.5);
+      this.drawSplat(x, y, dx, dy, color);
+    }
+  }
+
+  // Pointer Events are turned into input samples for handleInput(), and
+  // recorded on the way if a recording is running.
+  setupEventListeners() {
+    const canvas = this.canvas;
+
+    // Otherwise touch and pen strokes scroll or zoom the page and the browser
+    // cancels their pointers mid-stroke.
+    this.previousTouchAction = canvas.style.touchAction;
+    canvas.style.touchAction = 'none';
+
+    const forward = type => e => {
+      const [x, y] = this.eventToCanvas(e);
+      const sample = {
+        pointer: e.pointerId,
+        pointerType: e.pointerType,
+        x: x / canvas.width,
+        y: y / canvas.height,
+        pressure: e.pressure
+      };
+      this.input(type, sample);
+      if (type === 'down' && e.pointerType !== 'mouse')
+        canvas.setPointerCapture(e.pointerId);
+    };
+    this.listen(canvas, 'pointerdown', forward('down'));
+    this.listen(canvas, 'pointermove', forward('move'));
+    this.listen(canvas, 'pointerup', forward('up'));
+    this.listen(canvas, 'pointercancel', forward('cancel'));
+    this.listen(canvas, 'pointerleave', forward('leave'));
+
+    // Scrolling the page leaves the fluid behind for a moment (SCROLL_FORCE)
+    let scrollX = window.scrollX;
+    let scrollY = window.scrollY;
+    this.listen(window, 'scroll', () => {
+      this.addScroll(window.scrollX - scrollX, window.scrollY - scrollY);
+      scrollX = window.scrollX;
+      scrollY = window.scrollY;
+    }, { passive: true });
 
-  canvas.addEventListener('touchmove', e => {
-    e.preventDefault();
-    const rect = canvas.getBoundingClientRect();
-    const touches = e.targetTouches;
-    for (let i = 0; i < touches.length; i++) {
-      if (i >= pointers.length) pointers.push(new pointerPrototype());
-      let pointer = pointers[i];
-      const x = touches[i].clientX - rect.left;
-      const y = touches[i].clientY - rect.top;
+    this.watchOrientation();
+  }
+
+  // Tilting the device pours the fluid downhill (ORIENTATION_FORCE). A
+  // deviceorientation listener keeps the motion sensors running, so there
+  // is one only while the force is on.
+  watchOrientation() {
+    const active = !!this.config.ORIENTATION_FORCE && !this.destroyed;
+    if (active === !!this.orientationListener) return;
+    if (active) {
+      this.orientationListener = e => {
+        if (e.beta === null || e.gamma === null) return;
+        this.setTilt(e.beta, e.gamma, screen.orientation ? screen.orientation.angle : window.orientation || 0);
+      };
+      window.addEventListener('deviceorientation', this.orientationListener);
+    } else {
+      window.removeEventListener('deviceorientation', this.orientationListener);
+      this.orientationListener = null;
+      this.tilt = null;
+    }
+  }
+
+  // Pointer input, from the canvas or forwarded by the page (see worker.js).
+  input(type, sample) {
+    if (this.recorder) this.recorder.add(this.stepCount, type, sample);
+    this.handleInput(type, sample);
+  }
+
+  // Page scroll in CSS pixels since the previous call.
+  addScroll(dx, dy) {
+    if (!this.config.SCROLL_FORCE) return;
+    this.scrollImpulse[0] += dx;
+    this.scrollImpulse[1] += dy;
+    this.wake();
+  }
+
+  // Device orientation in degrees as deviceorientation reports it, and the
+  // screen's rotation against the device. Kept as a direction on the screen.
+  setTilt(beta, gamma, screenAngle) {
+    const angle = screenAngle * Math.PI / 180;
+    const x = Math.sin(gamma * Math.PI / 180);
+    const y = -Math.sin(beta * Math.PI / 180);
+    this.tilt = [x * Math.cos(angle) - y * Math.sin(angle), x * Math.sin(angle) + y * Math.cos(angle)];
+    if (this.config.ORIENTATION_FORCE) this.wake();
+  }
+
+  // Keyboard input, from accessibility.js or forwarded by the page. Arrow keys
+  // drive a keyboard pointer that splats like a touch in contact, moving
+  // KEYBOARD_SPEED canvas heights a second while held; REVEAL_KEY calls
+  // revealAll(). Only acts while KEYBOARD is on.
+  pressKey(key) {
+    if (!this.config.KEYBOARD) return;
+    if (key === this.config.REVEAL_KEY) {
+      this.revealAll();
+      return;
+    }
+    if (!ARROW_KEYS[key] || this.keys.has(key)) return;
+    if (this.keys.size === 0) {
+      this.keyboard.time = this.now();
+      this.input('down', this.keyboardSample());
+    }
+    this.keys.add(key);
+    this.wake();
+  }
+
+  releaseKey(key) {
+    if (!this.keys.delete(key) || this.keys.size > 0) return;
+    this.input('up', this.keyboardSample());
+  }
+
+  releaseKeys() {
+    for (const key of [...this.keys])
+      this.releaseKey(key);
+  }
+
+  // Whether to draw the focus indicator, which also shows where the keyboard
+  // pointer is. Losing focus lets go of any held keys.
+  setFocus(visible) {
+    this.focusVisible = visible;
+    if (!visible) this.releaseKeys();
+    this.wake();
+  }
+
+  // `label` names the effect and `topAlt` and `bottomAlt` describe the layers
+  // to screen readers; takes any subset. No-op without a DOM.
+  setDescription(description) {
+    if (this.accessibility) this.accessibility.describe(description);
+  }
+
+  keyboardSample() {
+    return { pointer: 'keyboard', pointerType: 'keyboard', x: this.keyboard.x, y: this.keyboard.y, pressure: 0.5 };
+  }
+
+  advanceKeyboard(now) {
+    if (this.keys.size === 0) return;
+    const keyboard = this.keyboard;
+    const [dx, dy] = keyboardDirection(this.keys);
+    const distance = this.config.KEYBOARD_SPEED * (now - keyboard.time) / 1000;
+    const aspect = this.canvas.width / this.canvas.height;
+    keyboard.time = now;
+    keyboard.x = Math.min(Math.max(keyboard.x + dx * distance / aspect, 0), 1);
+    keyboard.y = Math.min(Math.max(keyboard.y + dy * distance, 0), 1);
+    this.input('move', this.keyboardSample());
+  }
+
+  // Page state for an instance created with a `view`, which has no DOM to
+  // read it from: `width` and `height` (CSS size of the canvas),
+  // `pixelRatio`, `intersecting` and `hidden` (whether the canvas is on
+  // screen and the tab in front) and `reducedMotion` (the
+  // prefers-reduced-motion preference). Takes any subset.
+  updateView(view) {
+    const couldRender = this.canRender();
+    Object.assign(this.view, view);
+    this.intersecting = this.view.intersecting !== false;
+    if (this.canRender() && !couldRender) this.lastTime = Date.now();
+    if (!this.canRender()) this.cancelFrame();
+    this.syncPlayback();
+    this.updateReducedMotion();
+  }
+
+  // Pointers are keyed by `sample.pointer` and only live while they can splat:
+  // a mouse while it hovers the canvas, touch and pen while in contact. Live
+  // events and replays both come through here. `type` is 'down', 'move',
+  // 'up', 'cancel' or 'leave', and x and y are fractions of the canvas.
+  handleInput(type, sample) {
+    const canvas = this.canvas;
+    const pointers = this.pointers;
+    const id = sample.pointer;
+    const isMouse = sample.pointerType === 'mouse';
+    const x = sample.x * canvas.width;
+    const y = sample.y * canvas.height;
+
+    const addPointer = () => {
+      const pointer = this.createPointer();
+      pointer.id = id;
+      pointer.type = sample.pointerType;
+      pointer.x = pointer.lastX = x;
+      pointer.y = pointer.lastY = y;
+      pointers.set(id, pointer);
+      return pointer;
+    };
+
+    const applyPressure = pointer => {
+      if (sample.pointerType !== 'pen') return;
+      // 0.5 is the nominal pressure, which maps to the configured radius
+      pointer.radius = pointer.strength = 0.25 + 1.5 * sample.pressure;
+    };
+
+    if (type === 'down') {
+      this.wake();
+      if (isMouse) {
+        const pointer = pointers.get(id) || addPointer();
+        pointer.color = this.randomColor();
+        return;
+      }
+      const pointer = addPointer();
+      pointer.down = true;
+      applyPressure(pointer);
+    } else if (type === 'move') {
+      this.wake();
+      const pointer = pointers.get(id);
+      if (!pointer) {
+        if (isMouse) addPointer();
+        return;
+      }
       pointer.dx = (x - pointer.x) * 10.0;
       pointer.dy = (y - pointer.y) * 10.0;
       pointer.x = x;
       pointer.y = y;
       pointer.moved = true;
-      pointer.down = true;
-      if (!pointer.color || pointer.color[0] === 30) {
-        pointer.color = [Math.random() + 0.2, Math.random() + 0.2, Math.random() + 0.2];
-      }
+      applyPressure(pointer);
+    } else if (type === 'cancel' || (type === 'up' && !isMouse) || (type === 'leave' && isMouse)) {
+      pointers.delete(id);
     }
-  }, false);
+  }
 
-  canvas.addEventListener('mousedown', () => {
-    pointers[0].down = true;
-    pointers[0].color = [Math.random() + 0.2, Math.random() + 0.2, Math.random() + 0.2];
-  });
+  // offsetX/offsetY are measured in the canvas' own box, so unlike clientX
+  // minus getBoundingClientRect() they stay correct under CSS rotate/scale
+  // transforms. Drawing-buffer pixels differ from CSS pixels by the device
+  // pixel ratio, hence the scaling.
+  eventToCanvas(e) {
+    const canvas = this.canvas;
+    return [
+      e.offsetX * canvas.width / (canvas.clientWidth || 1),
+      e.offsetY * canvas.height / (canvas.clientHeight || 1)
+    ];
+  }
 
-  canvas.addEventListener('touchstart', e => {
-    e.preventDefault();
-    const rect = canvas.getBoundingClientRect();
-    const touches = e.targetTouches;
-    for (let i = 0; i < touches.length; i++) {
-      if (i >= pointers.length) pointers.push(new pointerPrototype());
-      pointers[i].id = touches[i].identifier;
-      pointers[i].down = true;
-      pointers[i].x = touches[i].clientX - rect.left;
-      pointers[i].y = touches[i].clientY - rect.top;
-      pointers[i].color = [Math.random() + 0.2, Math.random() + 0.2, Math.random() + 0.2];
-    }
-  });
+  pixelRatio() {
+    const ratio = this.view ? this.view.pixelRatio : window.devicePixelRatio || 1;
+    return Math.min(ratio, this.config.MAX_PIXEL_RATIO);
+  }
 
-  // When mouse leaves canvas, stop creating splats
-  canvas.addEventListener('mouseleave', () => {
-    pointers[0].down = false;
-    pointers[0].moved = false;
-  });
+  cssSize() {
+    if (this.view) return [this.view.width, this.view.height];
+    return [this.canvas.clientWidth, this.canvas.clientHeight];
+  }
 
-  window.addEventListener('mouseup', () => {
-    // Don't stop on mouseup - keep effect going on hover
-    // pointers[0].down = false;
-  });
+  // Called every frame. A new size only takes effect once it has held for
+  // RESIZE_DEBOUNCE ms, so dragging a window edge or rotating a phone
+  // reallocates the framebuffers once instead of on every intermediate size.
+  resizeCanvas() {
+    const canvas = this.canvas;
+    const pixelRatio = this.pixelRatio();
+    const [cssWidth, cssHeight] = this.cssSize();
+    const width = Math.round(cssWidth * pixelRatio);
+    const height = Math.round(cssHeight * pixelRatio);
+    if (width === canvas.width && height === canvas.height) {
+      this.pendingResize = null;
+      return;
+    }
+    if (!width || !height) return;
 
-  window.addEventListener('touchend', e => {
-    const touches = e.changedTouches;
-    for (let i = 0; i < touches.length; i++)
-      for (let j = 0; j < pointers.length; j++)
-        if (touches[i].identifier == pointers[j].id)
-          pointers[j].down = false;
-  });
-}
+    const now = performance.now();
+    const pending = this.pendingResize;
+    if (!pending || pending.width !== width || pending.height !== height) {
+      this.pendingResize = { width, height, since: now };
+      return;
+    }
+    if (now - pending.since < this.config.RESIZE_DEBOUNCE) return;
 
-function resizeCanvas() {
-  if (canvas.width != canvas.clientWidth || canvas.height != canvas.clientHeight) {
-    canvas.width = canvas.clientWidth;
-    canvas.height = canvas.clientHeight;
-    initFramebuffers();
-    initialized = false;
+    this.pendingResize = null;
+    canvas.width = width;
+    canvas.height = height;
+    this.initFramebuffers();
+    for (const layer of this.allLayers())
+      this.updateLayerTransform(layer);
   }
 }
@@ -0,0 +1,569 @@
+'use strict';
+
+import { LiquidReveal } from './main.js';
+import { loadImageSource, isVideo } from './sources.js';
+import { checkFit } from './fit.js';
+import { defaultConfig } from './config.js';
+import { RevealAccessibility } from './accessibility.js';
+
+// Runs the effect in a worker (worker.js) on a canvas handed over with
+// transferControlToOffscreen(), so the simulation no longer competes with the
+// page's own scripts. The page keeps the DOM side: pointer events, size,
+// visibility and scroll are forwarded as messages, and the API mirrors
+// LiquidReveal except that every method returns a promise of its result.
+// Handles from playPath() and the like come back synchronously as usual.
+export class OffscreenReveal {
+  static supported(canvas) {
+    return typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined' &&
+      !!canvas && typeof canvas.transferControlToOffscreen === 'function';
+  }
+
+  // Main-thread rendering where the canvas cannot be handed to a worker.
+  static create(canvas, options = {}) {
+    return OffscreenReveal.supported(canvas) ? new OffscreenReveal(canvas, options) : LiquidReveal.create(canvas, options);
+  }
+
+  constructor(canvas, options = {}) {
+    if (!canvas)
+      throw new Error('OffscreenReveal needs a canvas element');
+    if (!OffscreenReveal.supported(canvas))
+      throw new Error('OffscreenCanvas is not supported');
+
+    const { onFallback, workerUrl = new URL('./worker.js', import.meta.url), ...rest } = options;
+    const {
+      topImage, bottomImage, brushImage, depthLayers, view,
+      fit, objectPosition, topFit, bottomFit, topObjectPosition, bottomObjectPosition,
+      label, topAlt, bottomAlt, announce,
+      ...config
+    } = rest;
+    this.canvas = canvas;
+    this.options = rest;
+    this.onFallback = onFallback;
+    this.config = Object.assign({}, defaultConfig, config);
+    this.tier = null;
+    this.state = 'starting';
+    this.local = null;
+    this.error = null;
+    this.callCount = 0;
+    this.queue = [];
+    this.outbox = Promise.resolve();
+    this.replies = new Map();
+    this.finishes = new Map();
+    this.frameHandlers = new Map();
+    this.handlers = new Map();
+    this.forwarders = new Map();
+    this.listeners = [];
+    this.orientationListener = null;
+    this.destroyed = false;
+
+    this.worker = new Worker(workerUrl, { type: 'module' });
+    this.worker.addEventListener('message', ({ data }) => this.receive(data));
+    this.worker.addEventListener('error', error => {
+      if (this.state === 'starting') this.fail(error.message || 'The worker failed to start');
+    });
+
+    // Images go through the same conversion as later calls, so the worker
+    // only ever sees what it can load
+    const images = Promise.all([topImage, bottomImage, brushImage].map(source => source ? toCloneable(source) : undefined));
+    const layers = depthLayers
+      ? Promise.all(depthLayers.map(entry => toCloneable(entry.image)))
+        .catch(error => console.warn(`${error.message}, leaving out the depth layers`))
+      : null;
+    const offscreen = canvas.transferControlToOffscreen();
+    this.setupEventListeners();
+    this.accessibility = new RevealAccessibility(this, canvas, { label, topAlt, bottomAlt, announce });
+    Promise.all([images, layers]).then(([[top, bottom, brush], depth]) => {
+      if (this.state !== 'starting' || this.destroyed) return;
+      const cloneable = Object.assign({}, rest, { topImage: top, bottomImage: bottom, brushImage: brush });
+      if (depth) cloneable.depthLayers = depthLayers.map((entry, i) => Object.assign({}, entry, { image: depth[i] }));
+      this.worker.postMessage({ type: 'init', canvas: offscreen, options: cloneable, view: this.readView() }, [offscreen]);
+    }).catch(error => this.fail(error.message || String(error)));
+
+    this.ready = this.call('ready');
+    // Rejects only for bad options, which every other call reports too
+    this.ready.catch(() => {});
+  }
+
+  // Anything still arriving after destroy() belongs to calls it has already
+  // settled.
+  receive(data) {
+    if (this.destroyed) return;
+    switch (data.type) {
+      case 'ready': {
+        this.state = 'ready';
+        this.tier = data.tier;
+        // Nothing but the init reaches a worker that is still starting
+        this.post({ type: 'view', view: this.readView() });
+        for (const type of this.handlers.keys())
+          this.subscribe(type, true);
+        for (const { method, args, resolve, reject } of this.queue.splice(0))
+          this.dispatch(method, args).then(resolve, reject);
+        if (this.tier !== 'full' && this.onFallback)
+          this.onFallback({ tier: this.tier, reason: data.reason });
+        break;
+      }
+      case 'failed':
+        if (data.unsupported) this.fail(data.reason);
+        else this.abort(new Error(data.reason));
+        break;
+      case 'result': {
+        const reply = this.replies.get(data.id);
+        this.replies.delete(data.id);
+        this.frameHandlers.delete(data.id);
+        if (!reply) break;
+        if (data.error !== undefined) reply.reject(new Error(data.error));
+        else if (data.handle) reply.resolve(this.remoteHandle(data.id, data.handle, data.finishes));
+        else reply.resolve(data.value);
+        break;
+      }
+      case 'finished': {
+        const finish = this.finishes.get(data.id);
+        this.finishes.delete(data.id);
+        if (!finish) break;
+        if (data.error !== undefined) finish.reject(new Error(data.error));
+        else finish.resolve(data.value);
+        break;
+      }
+      case 'frame': {
+        const onFrame = this.frameHandlers.get(data.id);
+        if (onFrame) onFrame(data.blob, data.index);
+        break;
+      }
+      case 'event': this.emit(data.event, data.detail); break;
+    }
+  }
+
+  // The worker could not create the effect, e.g. without WebGL in workers.
+  // The transferred canvas is spent, so the effect starts over on the main
+  // thread on a fresh copy of it.
+  fail(reason) {
+    if (this.state === 'failed' || this.destroyed) return;
+    this.state = 'failed';
+    this.worker.terminate();
+    this.removeEventListeners();
+    // The main-thread instance labels its own canvas
+    this.accessibility.destroy();
+
+    const canvas = this.canvas.cloneNode(false);
+    this.canvas.replaceWith(canvas);
+    this.canvas = canvas;
+    this.local = LiquidReveal.create(canvas, Object.assign({}, this.options, this.config, this.accessibility.description, {
+      onFallback: this.onFallback
+    }));
+    this.canvas = this.local.canvas;
+    this.tier = this.local.tier;
+    console.warn(`Rendering on the main thread: ${reason}`);
+    for (const type of this.handlers.keys())
+      this.subscribe(type, true);
+    for (const { method, args, resolve, reject } of this.queue.splice(0))
+      this.dispatch(method, args).then(resolve, reject);
+  }
+
+  // The worker rejected the options themselves, e.g. an unknown fit, which
+  // the main thread would as well. Every call fails with that error.
+  abort(error) {
+    this.state = 'failed';
+    this.error = error;
+    this.worker.terminate();
+    this.removeEventListeners();
+    for (const { reject } of this.queue.splice(0))
+      reject(error);
+  }
+
+  // Calls go out in order, each once its arguments are ready, and resolve
+  // with the worker's reply. Functions cannot cross, so results with methods
+  // come back as handles whose methods post to the worker.
+  call(method, ...args) {
+    const sent = this.outbox
+      .then(() => Promise.all(args))
+      .then(values => ({ reply: this.dispatch(method, values) }));
+    this.outbox = sent.catch(() => {});
+    return sent.then(({ reply }) => reply);
+  }
+
+  dispatch(method, args) {
+    if (this.local) {
+      return Promise.resolve().then(() => {
+        if (method === 'ready') return this.local.ready;
+        if (typeof this.local[method] !== 'function')
+          throw new Error(`${method}() is not available on the ${this.tier} tier`);
+        return this.local[method](...args);
+      });
+    }
+    if (this.destroyed) return Promise.resolve();
+    if (this.error) return Promise.reject(this.error);
+    return new Promise((resolve, reject) => {
+      if (this.state === 'starting') {
+        this.queue.push({ method, args, resolve, reject });
+        return;
+      }
+      const id = ++this.callCount;
+      const options = args[0];
+      if (method === 'renderFrames' && options && typeof options.onFrame === 'function') {
+        this.frameHandlers.set(id, options.onFrame);
+        args = [Object.assign({}, options, { onFrame: true })];
+      }
+      this.replies.set(id, { resolve, reject });
+      this.worker.postMessage({ type: 'call', id, method, args });
+    });
+  }
+
+  remoteHandle(id, methods, finishes) {
+    const handle = {};
+    for (const method of methods)
+      handle[method] = (...args) => this.post({ type: 'handle', id, method, args });
+    if (finishes)
+      handle.finished = new Promise((resolve, reject) => this.finishes.set(id, { resolve, reject }));
+    return handle;
+  }
+
+  // Returns a handle right away whose methods apply once the call is through.
+  handle(method, args, methods) {
+    const remote = this.call(method, ...args);
+    const handle = {};
+    for (const name of methods)
+      handle[name] = (...rest) => { remote.then(result => result && result[name](...rest), () => {}); };
+    // A destroyed effect settles the call without a handle
+    if (methods.includes('stop'))
+      handle.finished = remote.then(result => result && result.finished);
+    return handle;
+  }
+
+  post(message) {
+    if (this.state !== 'ready' || this.destroyed) return;
+    this.worker.postMessage(message);
+  }
+
+  start() {
+    return this.call('start');
+  }
+
+  stop() {
+    return this.call('stop');
+  }
+
+  wake() {
+    return this.call('wake');
+  }
+
+  // Takes effect right away, like LiquidReveal's. Calls still on their way,
+  // and any made later, settle quietly with no result, as they would on a
+  // destroyed LiquidReveal; nothing is left to reject into the void.
+  destroy() {
+    if (this.destroyed) return;
+    if (this.state === 'ready') this.post({ type: 'destroy' });
+    else if (!this.local) this.worker.terminate();
+    this.destroyed = true;
+    this.removeEventListeners();
+    if (!this.local) this.accessibility.destroy();
+    if (this.local) {
+      for (const unsubscribe of this.forwarders.values())
+        unsubscribe();
+      this.local.destroy();
+    }
+    this.forwarders.clear();
+    for (const { resolve } of [...this.queue.splice(0), ...this.replies.values(), ...this.finishes.values()])
+      resolve();
+    this.replies.clear();
+    this.finishes.clear();
+  }
+
+  // Mirrors the config so it can be read synchronously. Changes the worker
+  // rejects only surface through the returned promise, which also rolls the
+  // mirror back.
+  setConfig(config) {
+    if ('TRANSPARENT' in config && config.TRANSPARENT !== this.config.TRANSPARENT)
+      throw new Error('TRANSPARENT can only be set when creating the effect');
+    const previous = Object.assign({}, this.config);
+    Object.assign(this.config, config);
+    if (!this.local && !this.destroyed) {
+      this.accessibility.update();
+      this.watchOrientation();
+    }
+    // Keys a later call has changed again are left alone
+    return this.call('setConfig', config).catch(error => {
+      for (const key in config) {
+        if (this.config[key] !== config[key]) continue;
+        if (key in previous) this.config[key] = previous[key];
+        else delete this.config[key];
+      }
+      if (!this.local && !this.destroyed) {
+        this.accessibility.update();
+        this.watchOrientation();
+      }
+      throw error;
+    });
+  }
+
+  setTopImage(source, options) {
+    return this.setLayerImage('top', source, options);
+  }
+
+  setBottomImage(source, options) {
+    return this.setLayerImage('bottom', source, options);
+  }
+
+  setImages({ top, bottom }, options) {
+    const pending = [];
+    if (top) pending.push(this.setTopImage(top, options));
+    if (bottom) pending.push(this.setBottomImage(bottom, options));
+    return Promise.all(pending);
+  }
+
+  setLayerImage(name, source, options = {}) {
+    if (options.fit) checkFit(options.fit);
+    if (options.live)
+      return Promise.reject(new Error('Live layers need main-thread rendering'));
+    if (options.alt !== undefined) this.setDescription({ [`${name}Alt`]: options.alt });
+    return this.call('setLayerImage', name, source === null ? null : this.cloneable(source), options);
+  }
+
+  setLayerFit(name, options = {}) {
+    if (options.fit) checkFit(options.fit);
+    return this.call('setLayerFit', name, options);
+  }
+
+  setDepthLayers(entries) {
+    for (const entry of entries)
+      if (entry.fit) checkFit(entry.fit);
+    const layers = Promise.all(entries.map(entry => {
+      if (entry.live) throw new Error('Live layers need main-thread rendering');
+      return this.cloneable(entry.image).then(image => Object.assign({}, entry, { image }));
+    }));
+    return this.call('setDepthLayers', layers);
+  }
+
+  setBrushImage(source) {
+    return this.call('setBrushImage', this.cloneable(source));
+  }
+
+  setObstacles(source, options = {}) {
+    if (options.fit) checkFit(options.fit);
+    const mask = !source || source === 'top' || source === 'bottom' ? source : this.cloneable(source);
+    return this.call('setObstacles', mask, options);
+  }
+
+  // Once the worker failed, sources go to the main-thread instance as given.
+  cloneable(source) {
+    return this.local || this.state === 'failed' ? Promise.resolve(source) : toCloneable(source);
+  }
+
+  splat(splat) {
+    return this.call('splat', splat);
+  }
+
+  revealAll(duration) {
+    return this.call('revealAll', duration);
+  }
+
+  reset() {
+    return this.call('reset');
+  }
+
+  // Easings are only sent by name; functions cannot cross to the worker.
+  playPath(steps, options) {
+    return this.handle('playPath', [steps, options], ['stop']);
+  }
+
+  startRecording() {
+    return this.call('startRecording');
+  }
+
+  stopRecording() {
+    return this.call('stopRecording');
+  }
+
+  playRecording(recording, options) {
+    return this.handle('playRecording', [recording, options], ['stop']);
+  }
+
+  // Keys and focus come from accessibility.js on the page; see LiquidReveal.
+  pressKey(key) {
+    return this.call('pressKey', key);
+  }
+
+  releaseKey(key) {
+    return this.call('releaseKey', key);
+  }
+
+  setFocus(visible) {
+    return this.call('setFocus', visible);
+  }
+
+  setDescription(description) {
+    if (this.local) this.local.setDescription(description);
+    else this.accessibility.describe(description);
+  }
+
+  captureFrame(options) {
+    return this.call('captureFrame', options);
+  }
+
+  // Worker canvases have no captureStream(), so this only works once the
+  // effect fell back to the main thread.
+  recordVideo(options) {
+    return this.handle('recordVideo', [options], ['stop']);
+  }
+
+  renderFrames(options) {
+    return this.call('renderFrames', options);
+  }
+
+  addAttractor(options) {
+    return this.handle('addAttractor', [options], ['update', 'remove']);
+  }
+
+  // The permission is the page's to ask for; see LiquidReveal.
+  requestDeviceOrientation() {
+    return LiquidReveal.prototype.requestDeviceOrientation.call(this);
+  }
+
+  // Same events as LiquidReveal; the worker only sends the ones listened to.
+  on(type, handler) {
+    if (!this.handlers.has(type)) this.handlers.set(type, new Set());
+    const handlers = this.handlers.get(type);
+    handlers.add(handler);
+    if (handlers.size === 1) this.subscribe(type, true);
+    return () => this.off(type, handler);
+  }
+
+  off(type, handler) {
+    const handlers = this.handlers.get(type);
+    if (!handlers || !handlers.delete(handler) || handlers.size > 0) return;
+    this.handlers.delete(type);
+    this.subscribe(type, false);
+  }
+
+  emit(type, detail) {
+    const handlers = this.handlers.get(type);
+    if (!handlers) return;
+    for (const handler of [...handlers])
+      handler(detail);
+  }
+
+  subscribe(type, active) {
+    if (!this.local) {
+      this.post({ type: 'listen', event: type, active });
+    } else if (active && !this.forwarders.has(type)) {
+      this.forwarders.set(type, this.local.on(type, detail => this.emit(type, detail)));
+    } else if (!active && this.forwarders.has(type)) {
+      this.forwarders.get(type)();
+      this.forwarders.delete(type);
+    }
+  }
+
+  listen(target, type, handler, options) {
+    target.addEventListener(type, handler, options);
+    this.listeners.push([target, type, handler, options]);
+  }
+
+  removeEventListeners() {
+    for (const [target, type, handler, options] of this.listeners)
+      target.removeEventListener(type, handler, options);
+    this.listeners = [];
+    if (this.orientationListener) window.removeEventListener('deviceorientation', this.orientationListener);
+    this.orientationListener = null;
+    if (this.intersectionObserver) this.intersectionObserver.disconnect();
+    if (this.resizeObserver) this.resizeObserver.disconnect();
+    this.intersectionObserver = this.resizeObserver = null;
+    if (this.previousTouchAction !== undefined) this.canvas.style.touchAction = this.previousTouchAction;
+  }
+
+  // Only while ORIENTATION_FORCE is on, as in LiquidReveal.
+  watchOrientation() {
+    const active = !!this.config.ORIENTATION_FORCE;
+    if (active === !!this.orientationListener) return;
+    if (active) {
+      this.orientationListener = e => {
+        if (e.beta === null || e.gamma === null) return;
+        const angle = screen.orientation ? screen.orientation.angle : window.orientation || 0;
+        this.post({ type: 'tilt', beta: e.beta, gamma: e.gamma, angle });
+      };
+      window.addEventListener('deviceorientation', this.orientationListener);
+    } else {
+      window.removeEventListener('deviceorientation', this.orientationListener);
+      this.orientationListener = null;
+    }
+  }
+
+  // What LiquidReveal would read from the DOM itself; see updateView().
+  readView() {
+    return {
+      width: this.canvas.clientWidth || window.innerWidth,
+      height: this.canvas.clientHeight || window.innerHeight,
+      pixelRatio: window.devicePixelRatio || 1,
+      intersecting: this.intersecting !== false,
+      hidden: document.hidden,
+      reducedMotion: !!this.reducedMotionQuery && this.reducedMotionQuery.matches
+    };
+  }
+
+  setupEventListeners() {
+    const canvas = this.canvas;
+    this.previousTouchAction = canvas.style.touchAction;
+    canvas.style.touchAction = 'none';
+
+    const forward = type => e => {
+      this.post({
+        type: 'input',
+        event: type,
+        sample: {
+          pointer: e.pointerId,
+          pointerType: e.pointerType,
+          x: e.offsetX / (canvas.clientWidth || 1),
+          y: e.offsetY / (canvas.clientHeight || 1),
+          pressure: e.pressure
+        }
+      });
+      if (type === 'down' && e.pointerType !== 'mouse')
+        canvas.setPointerCapture(e.pointerId);
+    };
+    this.listen(canvas, 'pointerdown', forward('down'));
+    this.listen(canvas, 'pointermove', forward('move'));
+    this.listen(canvas, 'pointerup', forward('up'));
+    this.listen(canvas, 'pointercancel', forward('cancel'));
+    this.listen(canvas, 'pointerleave', forward('leave'));
+
+    let scrollX = window.scrollX;
+    let scrollY = window.scrollY;
+    this.listen(window, 'scroll', () => {
+      this.post({ type: 'scroll', dx: window.scrollX - scrollX, dy: window.scrollY - scrollY });
+      scrollX = window.scrollX;
+      scrollY = window.scrollY;
+    }, { passive: true });
+    this.watchOrientation();
+
+    const sendView = () => this.post({ type: 'view', view: this.readView() });
+    this.listen(document, 'visibilitychange', sendView);
+    // A resize of the window alone can also change the pixel ratio (zoom)
+    this.listen(window, 'resize', sendView);
+    if (typeof window.matchMedia === 'function') {
+      this.reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+      this.listen(this.reducedMotionQuery, 'change', sendView);
+    }
+    if (typeof ResizeObserver !== 'undefined') {
+      this.resizeObserver = new ResizeObserver(sendView);
+      this.resizeObserver.observe(canvas);
+    }
+    if (typeof IntersectionObserver !== 'undefined') {
+      this.intersectionObserver = new IntersectionObserver(entries => {
+        this.intersecting = entries[entries.length - 1].isIntersecting;
+        sendView();
+      });
+      this.intersectionObserver.observe(canvas);
+    }
+  }
+}
+
+// What can be posted to the worker as a layer source. URLs are made absolute
+// since the worker resolves them against its own script; anything else the
+// worker could not decode itself is snapshotted into an ImageBitmap.
+function toCloneable(source) {
+  if (typeof source === 'string')
+    return Promise.resolve(new URL(source, document.baseURI).href);
+  if (source instanceof Blob || (typeof ImageBitmap !== 'undefined' && source instanceof ImageBitmap))
+    return Promise.resolve(source);
+  if (isVideo(source) || (typeof MediaStream !== 'undefined' && source instanceof MediaStream))
+    return Promise.reject(new Error('Video layers need main-thread rendering'));
+  return loadImageSource(source).then(({ image }) => createImageBitmap(image));
+}
@@ -0,0 +1,164 @@
+'use strict';
+
+import { presets } from './config.js';
+
+// What the panel exposes, with slider bounds.
+export const tunables = {
+  DENSITY_DISSIPATION: { min: 0.9, max: 1, step: 0.001 },
+  VELOCITY_DISSIPATION: { min: 0.9, max: 1, step: 0.001 },
+  PRESSURE_DISSIPATION: { min: 0, max: 1, step: 0.01 },
+  CURL: { min: 0, max: 60, step: 1 },
+  SPLAT_RADIUS: { min: 0.0005, max: 0.02, step: 0.0005 },
+  PRESSURE_ITERATIONS: { min: 1, max: 60, step: 1 },
+  TURBULENCE: { min: 0, max: 1000, step: 10 },
+  TURBULENCE_SCALE: { min: 0.5, max: 10, step: 0.5 },
+  TURBULENCE_SPEED: { min: 0, max: 3, step: 0.05 },
+  TEXTURE_DOWNSAMPLE: { min: 0, max: 3, step: 1 }
+};
+
+// Settings are shared as JSON with config keys, e.g. {"CURL": 12}, or as a
+// URL hash with the attribute names of <liquid-reveal>, e.g.
+// #curl=12&splat-radius=0.006. Only the tunables are read back, clamped to
+// their slider bounds, so a shared link cannot set anything the panel could
+// not.
+export function exportSettings(config) {
+  const settings = {};
+  for (const key in tunables)
+    settings[key] = config[key];
+  return settings;
+}
+
+export function importSettings(json) {
+  const data = typeof json === 'string' ? JSON.parse(json) : json;
+  const settings = {};
+  for (const key in data) {
+    if (!(key in tunables) || !Number.isFinite(data[key])) continue;
+    const { min, max } = tunables[key];
+    settings[key] = Math.min(Math.max(data[key], min), max);
+  }
+  return settings;
+}
+
+export function settingsToHash(settings) {
+  const params = new URLSearchParams();
+  for (const key in settings)
+    params.set(key.toLowerCase().replace(/_/g, '-'), settings[key]);
+  return '#' + params.toString();
+}
+
+export function settingsFromHash(hash) {
+  const data = {};
+  for (const [name, value] of new URLSearchParams(hash.replace(/^#/, '')))
+    data[name.toUpperCase().replace(/-/g, '_')] = parseFloat(value);
+  return importSettings(data);
+}
+
+const panelStyle = `
+  :host { position: fixed; top: 12px; right: 12px; z-index: 1000; }
+  form { width: 260px; padding: 12px; background: rgba(20, 20, 28, 0.9); color: #eee;
+    font: 12px/1.4 system-ui, sans-serif; border-radius: 6px; }
+  label { display: block; margin-bottom: 6px; }
+  label span { display: flex; justify-content: space-between; }
+  input[type=range], select, textarea { width: 100%; box-sizing: border-box; }
+  textarea { height: 80px; margin-top: 6px; font: 11px monospace; }
+  .buttons { display: flex; gap: 6px; margin-top: 6px; }
+  .buttons button { flex: 1; }
+`;
+
+// Opt-in overlay with a slider per tunable, applied live through
+// setConfig(), a preset picker and JSON/URL hash import and export. With
+// `persist`, settings are read from the URL hash on creation and written back
+// as they change. Returns { element, destroy() }.
+export function createTuningPanel(reveal, { container = document.body, persist = false } = {}) {
+  const host = document.createElement('div');
+  const root = host.attachShadow({ mode: 'open' });
+  const style = document.createElement('style');
+  style.textContent = panelStyle;
+  const form = document.createElement('form');
+  root.append(style, form);
+
+  const sliders = {};
+  for (const key in tunables) {
+    const { min, max, step } = tunables[key];
+    const label = document.createElement('label');
+    const caption = document.createElement('span');
+    const name = document.createElement('b');
+    const value = document.createElement('output');
+    const slider = document.createElement('input');
+    name.textContent = key;
+    Object.assign(slider, { type: 'range', min, max, step });
+    slider.addEventListener('input', () => apply({ [key]: parseFloat(slider.value) }));
+    caption.append(name, value);
+    label.append(caption, slider);
+    form.append(label);
+    sliders[key] = { slider, value };
+  }
+
+  const presetSelect = document.createElement('select');
+  presetSelect.append(new Option('Preset…', ''));
+  for (const name in presets)
+    presetSelect.append(new Option(name, name));
+  presetSelect.addEventListener('change', () => {
+    if (presetSelect.value) apply(presets[presetSelect.value]);
+    presetSelect.value = '';
+  });
+
+  const textarea = document.createElement('textarea');
+  textarea.placeholder = 'Settings JSON';
+  const button = (text, onClick) => {
+    const element = document.createElement('button');
+    element.type = 'button';
+    element.textContent = text;
+    element.addEventListener('click', onClick);
+    return element;
+  };
+  const buttons = document.createElement('div');
+  buttons.className = 'buttons';
+  buttons.append(
+    button('Export', () => {
+      textarea.value = JSON.stringify(exportSettings(reveal.config), null, 2);
+    }),
+    button('Import', () => {
+      try {
+        apply(importSettings(textarea.value));
+      } catch (error) {
+        textarea.value = `Invalid JSON: ${error.message}`;
+      }
+    }),
+    button('Link', () => {
+      history.replaceState(null, '', settingsToHash(exportSettings(reveal.config)));
+      textarea.value = location.href;
+    })
+  );
+  form.append(presetSelect, buttons, textarea);
+  form.addEventListener('submit', e => e.preventDefault());
+
+  function refresh() {
+    for (const key in sliders) {
+      sliders[key].slider.value = reveal.config[key];
+      sliders[key].value.textContent = reveal.config[key];
+      // Adaptive quality owns these two
+      sliders[key].slider.disabled = !!reveal.config.ADAPTIVE_QUALITY &&
+        (key === 'TEXTURE_DOWNSAMPLE' || key === 'PRESSURE_ITERATIONS');
+    }
+  }
+
+  function apply(settings) {
+    reveal.setConfig(settings);
+    refresh();
+    if (persist)
+      history.replaceState(null, '', settingsToHash(exportSettings(reveal.config)));
+  }
+
+  if (persist && location.hash.length > 1)
+    reveal.setConfig(settingsFromHash(location.hash));
+  refresh();
+  container.append(host);
+
+  return {
+    element: host,
+    destroy() {
+      host.remove();
+    }
+  };
+}
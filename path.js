@@ -0,0 +1,109 @@
+'use strict';
+
+export const easings = {
+  linear: t => t,
+  easeInQuad: t => t * t,
+  easeOutQuad: t => t * (2 - t),
+  easeInOutQuad: t => t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t,
+  easeInCubic: t => t * t * t,
+  easeOutCubic: t => 1 - Math.pow(1 - t, 3),
+  easeInOutCubic: t => t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2,
+  easeInOutSine: t => -(Math.cos(Math.PI * t) - 1) / 2
+};
+
+function lerp(a, b, t) {
+  return [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t];
+}
+
+function cubicBezier(p0, p1, p2, p3, t) {
+  const u = 1 - t;
+  const a = u * u * u, b = 3 * u * u * t, c = 3 * u * t * t, d = t * t * t;
+  return [
+    a * p0[0] + b * p1[0] + c * p2[0] + d * p3[0],
+    a * p0[1] + b * p1[1] + c * p2[1] + d * p3[1]
+  ];
+}
+
+// Point at `t` (0..1) along a polyline, travelling at constant speed.
+function samplePolyline(points, lengths, total, t) {
+  if (points.length === 1 || total === 0) return points[0];
+  let distance = t * total;
+  for (let i = 0; i < lengths.length; i++) {
+    if (distance <= lengths[i] || i === lengths.length - 1)
+      return lerp(points[i], points[i + 1], lengths[i] ? Math.min(distance / lengths[i], 1) : 1);
+    distance -= lengths[i];
+  }
+}
+
+// Point at `t` (0..1) along chained cubic Béziers given as
+// [start, control, control, end, control, control, end, ...].
+function sampleBezier(points, t) {
+  const segments = Math.floor((points.length - 1) / 3);
+  if (segments < 1) return points[0];
+  if (t >= 1) return points[segments * 3];
+  const scaled = t * segments;
+  const i = Math.floor(scaled);
+  const p = points.slice(i * 3, i * 3 + 4);
+  return cubicBezier(p[0], p[1], p[2], p[3], scaled - i);
+}
+
+function normalizeStep(step) {
+  const { points, curve = 'linear', duration = 1000, delay = 0, easing = 'easeInOutCubic' } = step;
+  if (!points || points.length === 0)
+    throw new Error('A path step needs at least one point');
+  if (curve !== 'linear' && curve !== 'bezier')
+    throw new Error(`Unknown curve '${curve}', expected 'linear' or 'bezier'`);
+  const ease = typeof easing === 'function' ? easing : easings[easing];
+  if (!ease)
+    throw new Error(`Unknown easing '${easing}'`);
+
+  const lengths = [];
+  for (let i = 1; i < points.length; i++)
+    lengths.push(Math.hypot(points[i][0] - points[i - 1][0], points[i][1] - points[i - 1][1]));
+  const total = lengths.reduce((sum, length) => sum + length, 0);
+  return { points, curve, duration, delay, ease, lengths, total };
+}
+
+// A timeline of path steps played one after another. Points are in normalized
+// canvas coordinates with the origin at the top-left. Between steps, and
+// during each step's delay, the virtual pointer is lifted.
+export class PathPlayer {
+  constructor(steps, { loop = false } = {}) {
+    this.steps = (Array.isArray(steps) ? steps : [steps]).map(normalizeStep);
+    this.loop = loop;
+    this.duration = this.steps.reduce((sum, step) => sum + step.delay + step.duration, 0);
+  }
+
+  // Where the pointer is `elapsed` ms into the timeline. `point` is null while
+  // lifted, `step` tells consecutive samples of the same stroke apart. It
+  // keeps counting through each pass of a loop, so a path that wraps around
+  // to its start lifts the pointer even when it has a single step.
+  sample(elapsed) {
+    let pass = 0;
+    if (this.loop && this.duration > 0) {
+      pass = Math.floor(elapsed / this.duration);
+      elapsed -= pass * this.duration;
+    } else if (elapsed >= this.duration) {
+      const last = this.steps.length - 1;
+      return { step: last, point: this.pointAt(this.steps[last], 1), done: true };
+    }
+
+    let start = 0;
+    for (let i = 0; i < this.steps.length; i++) {
+      const step = this.steps[i];
+      start += step.delay;
+      if (elapsed < start)
+        return { step: -1, point: null, done: false };
+      if (elapsed < start + step.duration)
+        return { step: pass * this.steps.length + i, point: this.pointAt(step, step.ease((elapsed - start) / step.duration)), done: false };
+      start += step.duration;
+    }
+    return { step: -1, point: null, done: false };
+  }
+
+  pointAt(step, t) {
+    if (step.curve === 'bezier')
+      return sampleBezier(step.points, t);
+    return samplePolyline(step.points, step.lengths, step.total, t);
+  }
+}
@@ -0,0 +1,147 @@
+'use strict';
+
+// Simulation settings for ADAPTIVE_QUALITY, from cheapest to most expensive.
+// The default config (TEXTURE_DOWNSAMPLE 1, PRESSURE_ITERATIONS 25) is
+// DEFAULT_QUALITY_LEVEL.
+export const qualityLevels = [
+  { downsample: 3, pressureIterations: 6 },
+  { downsample: 2, pressureIterations: 10 },
+  { downsample: 1, pressureIterations: 15 },
+  { downsample: 1, pressureIterations: 25 },
+  { downsample: 0, pressureIterations: 25 },
+  { downsample: 0, pressureIterations: 40 }
+];
+
+export const DEFAULT_QUALITY_LEVEL = 3;
+
+// Frames per decision, and what counts as slow: over SLOW_FACTOR times the
+// budget. A window steps down once more than DOWN_SHARE of it was slow.
+const WINDOW = 60;
+const SLOW_FACTOR = 1.2;
+const DOWN_SHARE = 0.25;
+// Stepping up needs a window with at most UP_SHARE slow frames, and with GPU
+// timings an average below GPU_UP_LOAD of the budget, since the next level
+// costs noticeably more.
+const UP_SHARE = 0.02;
+const GPU_UP_LOAD = 0.5;
+// Calm time at a level before trying the next one up. It doubles, up to
+// MAX_UP_DELAY, whenever a step up has to be taken back within PROBE_TIME.
+const UP_DELAY = 2000;
+const MAX_UP_DELAY = 60000;
+const PROBE_TIME = 3000;
+
+// Picks a level from measured frame costs with hysteresis: it steps down as
+// soon as a window of frames is clearly over budget, but steps up only after
+// a calm period that grows each time going up did not hold.
+export class QualityController {
+  constructor({ level = DEFAULT_QUALITY_LEVEL, min = 0, max = qualityLevels.length - 1, budget = 1000 / 60 } = {}) {
+    this.min = Math.max(0, Math.min(min, qualityLevels.length - 1));
+    this.max = Math.max(this.min, Math.min(max, qualityLevels.length - 1));
+    this.level = Math.max(this.min, Math.min(level, this.max));
+    this.budget = budget;
+    this.upDelay = UP_DELAY;
+    this.changedAt = -Infinity;
+    this.probeUntil = -Infinity;
+    this.reset();
+  }
+
+  // Drops the current window, e.g. after a pause.
+  reset() {
+    this.frames = 0;
+    this.slowFrames = 0;
+    this.total = 0;
+  }
+
+  // Adds one frame's cost in ms: GPU time when `gpu` is set, otherwise the
+  // time since the previous frame. Returns whether the level changed.
+  sample(cost, gpu, now) {
+    this.frames++;
+    this.total += cost;
+    if (cost > this.budget * SLOW_FACTOR) this.slowFrames++;
+    if (this.frames < WINDOW) return false;
+
+    const slowShare = this.slowFrames / this.frames;
+    const average = this.total / this.frames;
+    this.reset();
+
+    if (slowShare > DOWN_SHARE && this.level > this.min) {
+      if (now < this.probeUntil)
+        this.upDelay = Math.min(this.upDelay * 2, MAX_UP_DELAY);
+      this.probeUntil = -Infinity;
+      return this.setLevel(this.level - 1, now);
+    }
+    const calm = slowShare <= UP_SHARE && (!gpu || average < this.budget * GPU_UP_LOAD);
+    if (calm && this.level < this.max && now - this.changedAt >= this.upDelay) {
+      this.probeUntil = now + PROBE_TIME;
+      return this.setLevel(this.level + 1, now);
+    }
+    return false;
+  }
+
+  setLevel(level, now) {
+    this.level = level;
+    this.changedAt = now;
+    return true;
+  }
+}
+
+// Times GPU work between begin() and end() with EXT_disjoint_timer_query.
+// Results arrive a few frames late, so poll() returns whatever has finished,
+// in ms. Returns null where the extension is missing.
+export function createGpuTimer(gl) {
+  const isWebGL2 = typeof WebGL2RenderingContext !== 'undefined' && gl instanceof WebGL2RenderingContext;
+  const ext = gl.getExtension(isWebGL2 ? 'EXT_disjoint_timer_query_webgl2' : 'EXT_disjoint_timer_query');
+  if (!ext) return null;
+
+  const queries = isWebGL2 ? {
+    create: () => gl.createQuery(),
+    begin: query => gl.beginQuery(ext.TIME_ELAPSED_EXT, query),
+    end: () => gl.endQuery(ext.TIME_ELAPSED_EXT),
+    available: query => gl.getQueryParameter(query, gl.QUERY_RESULT_AVAILABLE),
+    result: query => gl.getQueryParameter(query, gl.QUERY_RESULT),
+    remove: query => gl.deleteQuery(query)
+  } : {
+    create: () => ext.createQueryEXT(),
+    begin: query => ext.beginQueryEXT(ext.TIME_ELAPSED_EXT, query),
+    end: () => ext.endQueryEXT(ext.TIME_ELAPSED_EXT),
+    available: query => ext.getQueryObjectEXT(query, ext.QUERY_RESULT_AVAILABLE_EXT),
+    result: query => ext.getQueryObjectEXT(query, ext.QUERY_RESULT_EXT),
+    remove: query => ext.deleteQueryEXT(query)
+  };
+
+  // Skip frames rather than pile up queries the driver is slow to answer
+  const MAX_PENDING = 8;
+  const pending = [];
+  let active = false;
+  return {
+    begin() {
+      if (pending.length >= MAX_PENDING) return;
+      const query = queries.create();
+      queries.begin(query);
+      pending.push(query);
+      active = true;
+    },
+    end() {
+      if (!active) return;
+      queries.end();
+      active = false;
+    },
+    poll() {
+      const times = [];
+      // A disjoint event (power state change, context switch) invalidates
+      // whatever was in flight
+      const disjoint = gl.getParameter(ext.GPU_DISJOINT_EXT);
+      while (pending.length > 0 && queries.available(pending[0])) {
+        const query = pending.shift();
+        if (!disjoint) times.push(queries.result(query) / 1e6);
+        queries.remove(query);
+      }
+      return times;
+    },
+    destroy() {
+      for (const query of pending)
+        queries.remove(query);
+      pending.length = 0;
+    }
+  };
+}
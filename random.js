@@ -0,0 +1,22 @@
+'use strict';
+
+// Seeded replacement for Math.random (mulberry32): the same seed always
+// yields the same sequence. Strings are hashed into a 32-bit seed first.
+export function createRandom(seed) {
+  let state = typeof seed === 'string' ? hashString(seed) : seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// FNV-1a
+function hashString(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++)
+    hash = Math.imul(hash ^ value.charCodeAt(i), 0x01000193);
+  return hash >>> 0;
+}
@@ -0,0 +1,72 @@
+'use strict';
+
+// Snapshots a DOM element into a canvas by drawing a copy of it inside an SVG
+// <foreignObject>. Stylesheets do not apply inside the SVG image, so every
+// element of the copy carries its computed style inline. An SVG image cannot
+// fetch anything either: images, backgrounds and web fonts only show if they
+// are data: URLs, and canvases are copied as their current pixels. Browsers
+// that treat such a snapshot as cross-origin (Safari) reject it.
+export function rasterizeElement(element, { pixelRatio = window.devicePixelRatio || 1 } = {}) {
+  const { width, height } = element.getBoundingClientRect();
+  if (!width || !height)
+    return Promise.reject(new Error('Cannot rasterize an element without a size'));
+
+  const clone = cloneWithStyles(element);
+  // Laid out from the top-left corner of the snapshot
+  clone.style.margin = '0';
+  clone.style.position = 'static';
+  clone.style.transform = 'none';
+  const markup = new XMLSerializer().serializeToString(clone);
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+    `<foreignObject x="0" y="0" width="100%" height="100%">${markup}</foreignObject></svg>`;
+
+  const image = new Image();
+  image.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svg);
+  return image.decode().then(() => {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(Math.round(width * pixelRatio), 1);
+    canvas.height = Math.max(Math.round(height * pixelRatio), 1);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+    try {
+      ctx.getImageData(0, 0, 1, 1);
+    } catch (error) {
+      throw new Error('This browser does not allow reading back a rasterized element');
+    }
+    return canvas;
+  }, () => {
+    throw new Error('Failed to rasterize the element');
+  });
+}
+
+function cloneWithStyles(source) {
+  const clone = source.cloneNode(false);
+  if (source.nodeType !== Node.ELEMENT_NODE) return clone;
+
+  const computed = getComputedStyle(source);
+  for (let i = 0; i < computed.length; i++) {
+    const name = computed[i];
+    clone.style.setProperty(name, computed.getPropertyValue(name), computed.getPropertyPriority(name));
+  }
+  if (source instanceof HTMLCanvasElement) {
+    const image = document.createElement('img');
+    image.setAttribute('style', clone.getAttribute('style'));
+    try {
+      image.src = source.toDataURL();
+    } catch (error) {
+      // A tainted canvas stays blank
+    }
+    return image;
+  }
+  // Form fields keep what was typed, which lives in properties
+  if (source instanceof HTMLInputElement)
+    clone.setAttribute('value', source.value);
+  if (source instanceof HTMLTextAreaElement)
+    clone.textContent = source.value;
+  if (source instanceof HTMLScriptElement || source instanceof HTMLTextAreaElement)
+    return clone;
+
+  for (const child of source.childNodes)
+    clone.appendChild(cloneWithStyles(child));
+  return clone;
+}
@@ -0,0 +1,91 @@
+'use strict';
+
+// Input recordings are plain JSON:
+//
+//   {
+//     "version": 1,
+//     "timestep": 0.016666666666666666,  seconds per step (TIMESTEP) when recorded
+//     "seed": 42,                        SEED when recorded, or null
+//     "aspect": 1.7777777777777777,      canvas width / height when recorded
+//     "duration": 240,                   steps from the start to the end
+//     "events": [
+//       { "step": 0, "type": "down", "pointer": 1, "pointerType": "touch", "x": 0.5, "y": 0.25, "pressure": 0.5 },
+//       { "step": 3, "type": "move", "pointer": 1, "pointerType": "touch", "x": 0.52, "y": 0.26, "pressure": 0.6 },
+//       { "step": 9, "type": "splat", "x": 0.1, "y": 0.9, "dx": 0, "dy": 0, "radius": 0.004, "strength": 1 }
+//     ]
+//   }
+//
+// `step` counts simulation steps since recording started, so a replay follows
+// the simulation rather than the wall clock. x and y are fractions of the
+// canvas from its top-left corner. Pointer event types are 'down', 'move',
+// 'up', 'cancel' and 'leave'; 'splat' events are splat() calls, with the same
+// fields as its argument.
+export const RECORDING_VERSION = 1;
+
+const POINTER_EVENTS = ['down', 'move', 'up', 'cancel', 'leave'];
+
+export class Recorder {
+  constructor(startStep, { timestep, seed, aspect }) {
+    this.startStep = startStep;
+    this.meta = { timestep, seed, aspect };
+    this.events = [];
+  }
+
+  add(step, type, fields) {
+    this.events.push(Object.assign({ step: step - this.startStep, type }, fields));
+  }
+
+  finish(step) {
+    return Object.assign({ version: RECORDING_VERSION }, this.meta, {
+      duration: step - this.startStep,
+      events: this.events
+    });
+  }
+}
+
+// Accepts a recording object or its JSON string and checks it is one this
+// version can play.
+export function parseRecording(recording) {
+  const data = typeof recording === 'string' ? JSON.parse(recording) : recording;
+  if (!data || data.version !== RECORDING_VERSION || !Array.isArray(data.events))
+    throw new Error(`Not a version ${RECORDING_VERSION} recording`);
+  for (const event of data.events) {
+    const isPointer = POINTER_EVENTS.includes(event.type);
+    if (!Number.isFinite(event.step) || (!isPointer && event.type !== 'splat') || !Number.isFinite(event.x) || !Number.isFinite(event.y))
+      throw new Error(`Invalid recording event ${JSON.stringify(event)}`);
+  }
+  const duration = data.events.reduce((last, event) => Math.max(last, event.step), data.duration || 0);
+  return Object.assign({}, data, { duration, events: data.events.slice().sort((a, b) => a.step - b.step) });
+}
+
+// Hands out the events of a parsed recording as the simulation reaches them.
+export class Replay {
+  constructor(recording, startStep, { loop = false } = {}) {
+    this.recording = recording;
+    this.loop = loop;
+    this.restart(startStep);
+  }
+
+  restart(startStep) {
+    this.startStep = startStep;
+    this.next = 0;
+  }
+
+  // Events due by `step`. `done` is set once the recording has run out and
+  // does not loop. When it loops, `restarted` is set and `nextEvents` holds
+  // the first events of the next pass, which starts on the same step.
+  take(step) {
+    const { events, duration } = this.recording;
+    // The clock restarts on reset(); carry on from there
+    if (step < this.startStep) this.startStep = step;
+    const due = [];
+    while (this.next < events.length && events[this.next].step <= step - this.startStep)
+      due.push(events[this.next++]);
+    const ended = step - this.startStep >= duration && this.next >= events.length;
+    const loops = this.loop && duration > 0;
+    if (!(ended && loops))
+      return { events: due, done: ended, restarted: false, nextEvents: [] };
+    this.restart(step);
+    return { events: due, done: false, restarted: true, nextEvents: this.take(step).events };
+  }
+}
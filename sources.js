@@ -0,0 +1,163 @@
+'use strict';
+
+import { rasterizeElement } from './rasterize.js';
+
+const VIDEO_URL = /\.(mp4|webm|ogv|mov)([?#]|$)/i;
+
+// Resolves anything a layer accepts (URL, <img>, <video>, MediaStream, canvas,
+// ImageBitmap, Blob/File, or any other element, which is rasterized as it
+// looks now) into something texImage2D can upload. Sources made
+// here (bitmaps decoded from a Blob, videos for a stream or a video URL) come
+// back with `owned: true` and should be passed to closeImageSource() once
+// replaced.
+export function loadImageSource(source) {
+  // Workers have neither <img> nor <video>
+  if (typeof source === 'string' && typeof document === 'undefined') {
+    if (VIDEO_URL.test(source))
+      return Promise.reject(new Error(`Video layers need main-thread rendering: ${source}`));
+    return fetchImage(source).then(image => ({ image, owned: true }));
+  }
+  if (typeof source === 'string' && VIDEO_URL.test(source))
+    return loadVideoURL(source).then(image => ({ image, owned: true }));
+  if (typeof source === 'string')
+    return loadImageURL(source).then(image => ({ image, owned: false }));
+  if (typeof MediaStream !== 'undefined' && source instanceof MediaStream)
+    return loadStream(source).then(image => ({ image, owned: true }));
+  if (typeof Blob !== 'undefined' && source instanceof Blob)
+    return loadBlob(source);
+  if (typeof HTMLImageElement !== 'undefined' && source instanceof HTMLImageElement)
+    return whenImageReady(source).then(image => ({ image, owned: false }));
+  if (typeof HTMLVideoElement !== 'undefined' && source instanceof HTMLVideoElement)
+    return whenVideoReady(source).then(image => ({ image, owned: false }));
+  if (isDrawable(source))
+    return Promise.resolve({ image: source, owned: false });
+  if (typeof Element !== 'undefined' && source instanceof Element)
+    return rasterizeElement(source).then(image => ({ image, owned: false }));
+  return Promise.reject(new TypeError('Unsupported image source: ' + Object.prototype.toString.call(source)));
+}
+
+function isDrawable(source) {
+  return (typeof HTMLCanvasElement !== 'undefined' && source instanceof HTMLCanvasElement) ||
+    (typeof OffscreenCanvas !== 'undefined' && source instanceof OffscreenCanvas) ||
+    (typeof ImageBitmap !== 'undefined' && source instanceof ImageBitmap) ||
+    (typeof ImageData !== 'undefined' && source instanceof ImageData);
+}
+
+function loadImageURL(src) {
+  const img = new Image();
+  img.crossOrigin = 'anonymous';
+  img.src = src;
+  return whenImageReady(img).catch(() => {
+    throw new Error(`Failed to load ${src}`);
+  });
+}
+
+// Video URLs become muted, looping inline videos, which browsers let play
+// without a user gesture.
+function createVideo() {
+  const video = document.createElement('video');
+  video.muted = true;
+  video.playsInline = true;
+  video.crossOrigin = 'anonymous';
+  return video;
+}
+
+function loadVideoURL(src) {
+  const video = createVideo();
+  video.loop = true;
+  video.preload = 'auto';
+  video.src = src;
+  return whenVideoReady(video).catch(() => {
+    throw new Error(`Failed to load ${src}`);
+  });
+}
+
+// Streams only deliver frames once playing.
+function loadStream(stream) {
+  const video = createVideo();
+  video.srcObject = stream;
+  video.play().catch(() => {});
+  return whenVideoReady(video);
+}
+
+export function closeImageSource(image) {
+  if (isVideo(image)) {
+    image.pause();
+    image.srcObject = null;
+    image.removeAttribute('src');
+    image.load();
+  } else if (typeof image.close === 'function') {
+    image.close();
+  }
+}
+
+export function isVideo(image) {
+  return typeof HTMLVideoElement !== 'undefined' && image instanceof HTMLVideoElement;
+}
+
+function fetchImage(src) {
+  return fetch(src, { mode: 'cors' })
+    .then(response => {
+      if (!response.ok) throw new Error(response.statusText);
+      return response.blob();
+    })
+    .then(blob => createImageBitmap(blob))
+    .catch(() => {
+      throw new Error(`Failed to load ${src}`);
+    });
+}
+
+function loadBlob(blob) {
+  if (typeof createImageBitmap === 'function')
+    return createImageBitmap(blob).then(image => ({ image, owned: true }));
+  const url = URL.createObjectURL(blob);
+  return loadImageURL(url).then(
+    image => { URL.revokeObjectURL(url); return { image, owned: false }; },
+    error => { URL.revokeObjectURL(url); throw error; }
+  );
+}
+
+function whenImageReady(img) {
+  if (img.complete && img.src)
+    return img.naturalWidth > 0 ? Promise.resolve(img) : Promise.reject(new Error(`Failed to load ${img.src}`));
+  return new Promise((resolve, reject) => {
+    img.addEventListener('load', () => resolve(img), { once: true });
+    img.addEventListener('error', () => reject(new Error(`Failed to load ${img.src}`)), { once: true });
+  });
+}
+
+function whenVideoReady(video) {
+  if (video.readyState >= video.HAVE_CURRENT_DATA)
+    return Promise.resolve(video);
+  return new Promise((resolve, reject) => {
+    video.addEventListener('loadeddata', () => resolve(video), { once: true });
+    video.addEventListener('error', () => reject(new Error(`Failed to load ${video.currentSrc || video.src}`)), { once: true });
+  });
+}
+
+// Intrinsic pixel size of a loaded source, whatever its type.
+export function getSourceSize(image) {
+  if (isVideo(image))
+    return [image.videoWidth, image.videoHeight];
+  if (typeof HTMLImageElement !== 'undefined' && image instanceof HTMLImageElement)
+    return [image.naturalWidth, image.naturalHeight];
+  return [image.width, image.height];
+}
+
+// Stands in for a layer image that is missing or failed to load.
+export function createPlaceholderImage(isTop) {
+  const canvas = typeof document !== 'undefined' ? document.createElement('canvas') : new OffscreenCanvas(512, 512);
+  canvas.width = 512;
+  canvas.height = 512;
+  const ctx = canvas.getContext('2d');
+  const gradient = ctx.createLinearGradient(0, 0, 512, 512);
+  gradient.addColorStop(0, isTop ? '#ff6b6b' : '#4ecdc4');
+  gradient.addColorStop(1, isTop ? '#ee5a6f' : '#44a08d');
+  ctx.fillStyle = gradient;
+  ctx.fillRect(0, 0, 512, 512);
+  ctx.fillStyle = 'white';
+  ctx.font = '48px Arial';
+  ctx.textAlign = 'center';
+  ctx.fillText(isTop ? 'TOP IMAGE' : 'BOTTOM IMAGE', 256, 256);
+  return canvas;
+}
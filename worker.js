@@ -0,0 +1,84 @@
+'use strict';
+
+import { LiquidReveal } from './main.js';
+
+// Worker side of OffscreenReveal (offscreen.js): runs a LiquidReveal on the
+// transferred canvas and answers the page's messages. Results that carry
+// methods, like the { stop, finished } of playPath(), stay here as handles the
+// page calls by id until they finish.
+let reveal = null;
+const handles = new Map();
+const forwarders = new Map();
+
+const post = (message, transfer) => self.postMessage(message, transfer || []);
+
+function init({ canvas, options, view }) {
+  try {
+    reveal = new LiquidReveal(canvas, Object.assign({}, options, { view }));
+  } catch (error) {
+    post({ type: 'failed', reason: error.message || String(error), unsupported: !!error.unsupported });
+    self.close();
+    return;
+  }
+  post({ type: 'ready', tier: reveal.tier, reason: reveal.ext.reason });
+}
+
+function call({ id, method, args }) {
+  // Frames are posted as they are encoded rather than awaited
+  if (method === 'renderFrames' && args[0] && args[0].onFrame)
+    args[0] = Object.assign({}, args[0], { onFrame: (blob, index) => post({ type: 'frame', id, blob, index }) });
+
+  Promise.resolve()
+    .then(() => {
+      if (method === 'ready') return reveal.ready;
+      if (typeof reveal[method] !== 'function') throw new Error(`Unknown method '${method}'`);
+      return reveal[method](...args);
+    })
+    .then(result => {
+      if (!result || typeof result !== 'object' || !Object.values(result).some(value => typeof value === 'function')) {
+        post({ type: 'result', id, value: result });
+        return;
+      }
+      handles.set(id, result);
+      const methods = Object.keys(result).filter(key => typeof result[key] === 'function');
+      post({ type: 'result', id, handle: methods, finishes: !!result.finished });
+      if (result.finished) {
+        result.finished.then(
+          value => post({ type: 'finished', id, value }),
+          error => post({ type: 'finished', id, error: error.message || String(error) }))
+          .then(() => handles.delete(id));
+      }
+    })
+    .catch(error => post({ type: 'result', id, error: error.message || String(error) }));
+}
+
+function listen({ event, active }) {
+  if (active && !forwarders.has(event)) {
+    forwarders.set(event, reveal.on(event, detail => post({ type: 'event', event, detail })));
+  } else if (!active && forwarders.has(event)) {
+    forwarders.get(event)();
+    forwarders.delete(event);
+  }
+}
+
+self.addEventListener('message', ({ data }) => {
+  switch (data.type) {
+    case 'init': init(data); break;
+    case 'call': call(data); break;
+    case 'handle': {
+      const handle = handles.get(data.id);
+      if (handle) handle[data.method](...data.args);
+      break;
+    }
+    case 'listen': listen(data); break;
+    case 'input': reveal.input(data.event, data.sample); break;
+    case 'view': reveal.updateView(data.view); break;
+    case 'scroll': reveal.addScroll(data.dx, data.dy); break;
+    case 'tilt': reveal.setTilt(data.beta, data.gamma, data.angle); break;
+    // Lets go of the context before the worker goes
+    case 'destroy':
+      reveal.destroy();
+      self.close();
+      break;
+  }
+});